@@ -0,0 +1,76 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `candidateName` on the `test_attempts` table. Existing values are migrated into `candidates`.
+  - You are about to drop the column `candidateImage` on the `test_attempts` table. Existing values are migrated into `candidates.photo`.
+  - You are about to drop the column `userId` on the `test_attempts` table. Existing values are migrated into `candidates.userId`.
+
+*/
+-- CreateTable
+CREATE TABLE "candidates" (
+    "id" TEXT NOT NULL,
+    "fullName" TEXT NOT NULL,
+    "phone" TEXT,
+    "dateOfBirth" TIMESTAMP(3),
+    "photo" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "candidates_pkey" PRIMARY KEY ("id")
+);
+
+-- Backfill: one candidate profile per candidate account
+INSERT INTO "candidates" ("id", "fullName", "userId", "createdAt", "updatedAt")
+SELECT 'cand_' || md5("id"), "name", "id", "createdAt", CURRENT_TIMESTAMP
+FROM "users"
+WHERE "role" = 'CANDIDATE';
+
+-- Backfill: attempts made before accounts existed are grouped by their free-text name.
+-- These legacy profiles have no login and can be linked to an account by an admin.
+INSERT INTO "candidates" ("id", "fullName", "createdAt", "updatedAt")
+SELECT 'legacy_' || md5("candidateName"), "candidateName", MIN("startTime"), CURRENT_TIMESTAMP
+FROM "test_attempts"
+WHERE "userId" IS NULL
+GROUP BY "candidateName";
+
+-- AlterTable
+ALTER TABLE "test_attempts" ADD COLUMN     "candidateId" TEXT;
+
+UPDATE "test_attempts"
+SET "candidateId" = CASE
+    WHEN "userId" IS NOT NULL THEN 'cand_' || md5("userId")
+    ELSE 'legacy_' || md5("candidateName")
+END;
+
+-- Carry over the most recent photo each candidate used
+UPDATE "candidates" c
+SET "photo" = latest."candidateImage"
+FROM (
+    SELECT DISTINCT ON ("candidateId") "candidateId", "candidateImage"
+    FROM "test_attempts"
+    WHERE "candidateImage" IS NOT NULL
+    ORDER BY "candidateId", "startTime" DESC
+) latest
+WHERE c."id" = latest."candidateId";
+
+-- DropForeignKey
+ALTER TABLE "test_attempts" DROP CONSTRAINT "test_attempts_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "test_attempts" DROP COLUMN "candidateImage",
+DROP COLUMN "candidateName",
+DROP COLUMN "userId",
+ALTER COLUMN "candidateId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "candidates_userId_key" ON "candidates"("userId");
+
+-- CreateIndex
+CREATE INDEX "test_attempts_candidateId_testId_idx" ON "test_attempts"("candidateId", "testId");
+
+-- AddForeignKey
+ALTER TABLE "candidates" ADD CONSTRAINT "candidates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "test_attempts" ADD CONSTRAINT "test_attempts_candidateId_fkey" FOREIGN KEY ("candidateId") REFERENCES "candidates"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
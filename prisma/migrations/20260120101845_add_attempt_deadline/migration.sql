@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "SubmissionType" AS ENUM ('MANUAL', 'WARNING_LIMIT', 'TIME_EXPIRED');
+
+-- AlterTable
+ALTER TABLE "test_attempts" ADD COLUMN     "deadline" TIMESTAMP(3),
+ADD COLUMN     "submissionType" "SubmissionType";
+
+-- Backfill deadlines for existing attempts (test duration is in minutes)
+UPDATE "test_attempts" a
+SET "deadline" = a."startTime" + (t."duration" * INTERVAL '1 minute')
+FROM "tests" t
+WHERE a."testId" = t."id";
+
+-- CreateIndex
+CREATE INDEX "test_attempts_isCompleted_deadline_idx" ON "test_attempts"("isCompleted", "deadline");
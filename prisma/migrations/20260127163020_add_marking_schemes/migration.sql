@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "markingScheme" JSONB;
+
+-- AlterTable
+ALTER TABLE "sections" ADD COLUMN     "markingScheme" JSONB;
+
+-- AlterTable
+ALTER TABLE "tests" ADD COLUMN     "markingScheme" JSONB;
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "QuestionType" ADD VALUE 'MULTI_MCQ';
+
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "isPartiallyCorrect" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "selectedOptions" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "correctOptions" TEXT[] DEFAULT ARRAY[]::TEXT[];
@@ -0,0 +1,15 @@
+-- CreateEnum
+CREATE TYPE "ToleranceType" AS ENUM ('ABSOLUTE', 'RELATIVE');
+
+-- AlterEnum
+ALTER TYPE "QuestionType" ADD VALUE 'NUMERICAL';
+
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "numericAnswer" DECIMAL(14,4);
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "answerRangeMax" DECIMAL(14,4),
+ADD COLUMN     "answerRangeMin" DECIMAL(14,4),
+ADD COLUMN     "correctValue" DECIMAL(14,4),
+ADD COLUMN     "tolerance" DECIMAL(14,4),
+ADD COLUMN     "toleranceType" "ToleranceType";
@@ -0,0 +1,28 @@
+-- AlterEnum
+ALTER TYPE "QuestionType" ADD VALUE 'MATRIX_MATCH';
+
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "matrixAnswer" JSONB;
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "groupId" TEXT,
+ADD COLUMN     "matrixColumns" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "matrixKey" JSONB,
+ADD COLUMN     "matrixRows" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "question_groups" (
+    "id" TEXT NOT NULL,
+    "order" INTEGER NOT NULL,
+    "stemText" TEXT,
+    "stemImage" TEXT,
+    "sectionId" TEXT NOT NULL,
+
+    CONSTRAINT "question_groups_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "question_groups" ADD CONSTRAINT "question_groups_sectionId_fkey" FOREIGN KEY ("sectionId") REFERENCES "sections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "questions" ADD CONSTRAINT "questions_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "question_groups"("id") ON DELETE SET NULL ON UPDATE CASCADE;
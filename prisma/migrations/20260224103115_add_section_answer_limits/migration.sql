@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "isCounted" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "sections" ADD COLUMN     "maxAnswered" INTEGER;
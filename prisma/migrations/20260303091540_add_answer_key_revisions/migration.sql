@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "RevisionStatus" AS ENUM ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "answer_key_revisions" (
+    "id" TEXT NOT NULL,
+    "testId" TEXT NOT NULL,
+    "reason" TEXT,
+    "changes" JSONB NOT NULL,
+    "status" "RevisionStatus" NOT NULL DEFAULT 'PENDING',
+    "attemptsTotal" INTEGER NOT NULL DEFAULT 0,
+    "attemptsRegraded" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "answer_key_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "answer_key_revision_results" (
+    "id" TEXT NOT NULL,
+    "revisionId" TEXT NOT NULL,
+    "attemptId" TEXT NOT NULL,
+    "previousMarks" INTEGER NOT NULL,
+    "newMarks" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "answer_key_revision_results_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "answer_key_revisions_status_createdAt_idx" ON "answer_key_revisions"("status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "answer_key_revision_results_revisionId_attemptId_key" ON "answer_key_revision_results"("revisionId", "attemptId");
+
+-- AddForeignKey
+ALTER TABLE "answer_key_revisions" ADD CONSTRAINT "answer_key_revisions_testId_fkey" FOREIGN KEY ("testId") REFERENCES "tests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "answer_key_revisions" ADD CONSTRAINT "answer_key_revisions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "answer_key_revision_results" ADD CONSTRAINT "answer_key_revision_results_revisionId_fkey" FOREIGN KEY ("revisionId") REFERENCES "answer_key_revisions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "answer_key_revision_results" ADD CONSTRAINT "answer_key_revision_results_attemptId_fkey" FOREIGN KEY ("attemptId") REFERENCES "test_attempts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
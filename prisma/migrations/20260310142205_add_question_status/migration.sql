@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "QuestionStatus" AS ENUM ('ACTIVE', 'BONUS', 'DROPPED', 'MULTIPLE_KEYS');
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "alternateKeys" JSONB,
+ADD COLUMN     "status" "QuestionStatus" NOT NULL DEFAULT 'ACTIVE';
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "test_attempts" ADD COLUMN     "negativeCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "sectionMarks" JSONB;
+
+-- CreateIndex
+CREATE INDEX "test_attempts_testId_isCompleted_idx" ON "test_attempts"("testId", "isCompleted");
+
+-- Backfill ranking fields for attempts graded before this migration
+UPDATE "test_attempts" AS t
+SET "sectionMarks" = s."sectionMarks",
+    "negativeCount" = s."negativeCount"
+FROM (
+    SELECT per_section."attemptId",
+           jsonb_object_agg(per_section."sectionId", per_section."marks") AS "sectionMarks",
+           SUM(per_section."negatives")::INTEGER AS "negativeCount"
+    FROM (
+        SELECT a."attemptId",
+               q."sectionId",
+               SUM(a."marksAwarded") AS "marks",
+               COUNT(*) FILTER (WHERE a."marksAwarded" < 0) AS "negatives"
+        FROM "answers" a
+        JOIN "questions" q ON q."id" = a."questionId"
+        GROUP BY a."attemptId", q."sectionId"
+    ) AS per_section
+    GROUP BY per_section."attemptId"
+) AS s
+WHERE t."id" = s."attemptId" AND t."isCompleted" = true;
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "tests" ADD COLUMN     "examId" TEXT,
+ADD COLUMN     "shiftLabel" TEXT;
+
+-- CreateTable
+CREATE TABLE "exams" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exams_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tests_examId_idx" ON "tests"("examId");
+
+-- AddForeignKey
+ALTER TABLE "tests" ADD CONSTRAINT "tests_examId_fkey" FOREIGN KEY ("examId") REFERENCES "exams"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "tests" ADD COLUMN     "closesAt" TIMESTAMP(3),
+ADD COLUMN     "latestStartAt" TIMESTAMP(3),
+ADD COLUMN     "openedAt" TIMESTAMP(3),
+ADD COLUMN     "opensAt" TIMESTAMP(3),
+ADD COLUMN     "stopAfterFirstSubmission" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "Difficulty" AS ENUM ('EASY', 'MEDIUM', 'HARD');
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "bankQuestionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "bank_questions" (
+    "id" TEXT NOT NULL,
+    "questionType" "QuestionType" NOT NULL,
+    "questionImage" TEXT,
+    "solutionImage" TEXT,
+    "correctOption" TEXT,
+    "correctOptions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "correctInteger" INTEGER,
+    "correctValue" DECIMAL(14,4),
+    "answerRangeMin" DECIMAL(14,4),
+    "answerRangeMax" DECIMAL(14,4),
+    "tolerance" DECIMAL(14,4),
+    "toleranceType" "ToleranceType",
+    "matrixRows" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "matrixColumns" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "matrixKey" JSONB,
+    "subject" TEXT NOT NULL,
+    "chapter" TEXT,
+    "topic" TEXT,
+    "difficulty" "Difficulty",
+    "sourceYear" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bank_questions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "questions_bankQuestionId_idx" ON "questions"("bankQuestionId");
+
+-- CreateIndex
+CREATE INDEX "bank_questions_subject_chapter_idx" ON "bank_questions"("subject", "chapter");
+
+-- CreateIndex
+CREATE INDEX "bank_questions_difficulty_idx" ON "bank_questions"("difficulty");
+
+-- AddForeignKey
+ALTER TABLE "questions" ADD CONSTRAINT "questions_bankQuestionId_fkey" FOREIGN KEY ("bankQuestionId") REFERENCES "bank_questions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
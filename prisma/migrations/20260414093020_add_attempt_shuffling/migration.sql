@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "tests" ADD COLUMN     "shuffleOptions" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "shuffleQuestions" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "test_attempts" ADD COLUMN     "shuffleOptions" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "shuffleQuestions" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "shuffleSeed" INTEGER;
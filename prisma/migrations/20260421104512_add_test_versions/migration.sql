@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "sections" ADD COLUMN     "versionId" TEXT,
+ALTER COLUMN "testId" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "test_attempts" ADD COLUMN     "versionId" TEXT;
+
+-- CreateTable
+CREATE TABLE "test_versions" (
+    "id" TEXT NOT NULL,
+    "testId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "totalMarks" INTEGER NOT NULL DEFAULT 0,
+    "publishedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "test_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "test_versions_testId_version_key" ON "test_versions"("testId", "version");
+
+-- CreateIndex
+CREATE INDEX "sections_versionId_idx" ON "sections"("versionId");
+
+-- CreateIndex
+CREATE INDEX "test_attempts_versionId_idx" ON "test_attempts"("versionId");
+
+-- AddForeignKey
+ALTER TABLE "test_versions" ADD CONSTRAINT "test_versions_testId_fkey" FOREIGN KEY ("testId") REFERENCES "tests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sections" ADD CONSTRAINT "sections_versionId_fkey" FOREIGN KEY ("versionId") REFERENCES "test_versions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "test_attempts" ADD CONSTRAINT "test_attempts_versionId_fkey" FOREIGN KEY ("versionId") REFERENCES "test_versions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Publish the current content of live or attempted tests as version 1
+INSERT INTO "test_versions" ("id", "testId", "version", "totalMarks")
+SELECT 'v1' || md5(t."id"), t."id", 1, t."totalMarks"
+FROM "tests" t
+WHERE t."isLive" OR EXISTS (SELECT 1 FROM "test_attempts" a WHERE a."testId" = t."id");
+
+UPDATE "sections" s
+SET "versionId" = v."id"
+FROM "test_versions" v
+WHERE v."testId" = s."testId";
+
+UPDATE "test_attempts" a
+SET "versionId" = v."id"
+FROM "test_versions" v
+WHERE v."testId" = a."testId";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "answer_key_revisions" ADD COLUMN     "failureCount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,67 @@
+/**
+ * Marking scheme presets
+ *
+ * `correct` is awarded for a correct response and `incorrect` (zero or less)
+ * for a wrong one. Unattempted questions always score 0. Multiple-correct
+ * questions additionally earn +1 per correct option for a partial response, and
+ * matrix-match questions are graded row by row.
+ */
+const MARKING_SCHEME_PRESETS = {
+  JEE_MAIN_MCQ: {
+    label: 'JEE Main - Single correct MCQ (+4 / -1)',
+    correct: 4,
+    incorrect: -1
+  },
+  JEE_MAIN_NUMERIC: {
+    label: 'JEE Main - Numerical value (+4 / -1)',
+    correct: 4,
+    incorrect: -1
+  },
+  JEE_MAIN_NUMERIC_NO_NEGATIVE: {
+    label: 'JEE Main - Numerical value, no negative marking (+4 / 0)',
+    correct: 4,
+    incorrect: 0
+  },
+  JEE_ADVANCED_SINGLE: {
+    label: 'JEE Advanced - Single correct MCQ (+3 / -1)',
+    correct: 3,
+    incorrect: -1
+  },
+  JEE_ADVANCED_SINGLE_HIGH: {
+    label: 'JEE Advanced - Single correct MCQ (+4 / -2)',
+    correct: 4,
+    incorrect: -2
+  },
+  JEE_ADVANCED_MULTI: {
+    label: 'JEE Advanced - Multiple correct MCQ with partial marking (+4 / -2)',
+    correct: 4,
+    incorrect: -2
+  },
+  JEE_ADVANCED_NUMERIC: {
+    label: 'JEE Advanced - Numerical value (+3 / 0)',
+    correct: 3,
+    incorrect: 0
+  },
+  JEE_ADVANCED_INTEGER: {
+    label: 'JEE Advanced - Non-negative integer (+4 / 0)',
+    correct: 4,
+    incorrect: 0
+  },
+  JEE_ADVANCED_MATRIX_MATCH: {
+    label: 'JEE Advanced - Matrix match, marks shared equally between rows (+8 / 0)',
+    correct: 8,
+    incorrect: 0
+  }
+};
+
+// Used when neither the test, the section nor the question defines a scheme
+const DEFAULT_MARKING_SCHEME = {
+  preset: 'JEE_MAIN_MCQ',
+  correct: 4,
+  incorrect: -1
+};
+
+module.exports = {
+  MARKING_SCHEME_PRESETS,
+  DEFAULT_MARKING_SCHEME
+};
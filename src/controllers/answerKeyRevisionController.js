@@ -0,0 +1,240 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const { buildAnswerKey, toAnswerKeyData, isSameAnswerKey } = require('../services/answerKeys');
+const {
+  describeKeyChange,
+  createAnswerKeyRevision,
+  scheduleRevisionProcessing
+} = require('../services/answerKeyRevisions');
+const { calculateTotalMarks } = require('../services/markingSchemes');
+const prisma = new PrismaClient();
+
+// Per-candidate score changes of a revision, largest change first
+const toScoreChanges = (results) => {
+  return results
+    .map(result => ({
+      attemptId: result.attemptId,
+      candidateId: result.attempt.candidate.id,
+      candidateName: result.attempt.candidate.fullName,
+      previousMarks: result.previousMarks,
+      newMarks: result.newMarks,
+      difference: result.newMarks - result.previousMarks
+    }))
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+};
+
+// Revise answer keys of a test and re-grade its completed attempts in the background
+const reviseAnswerKeys = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { questions, reason } = req.body;
+
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return res.status(400).json({ error: 'Provide the questions whose keys change' });
+  }
+
+  const test = await retryDatabaseOperation(async () => {
+    return await prisma.test.findUnique({
+      where: { id },
+      include: {
+        sections: {
+          include: { questions: true }
+        },
+        versions: {
+          include: {
+            sections: {
+              include: { questions: true }
+            }
+          }
+        }
+      }
+    });
+  });
+
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  // Questions of the working copy and of every published version can be corrected
+  const questionsById = new Map();
+  [test.sections, ...test.versions.map(version => version.sections)].flat().forEach(section => {
+    section.questions.forEach(question => questionsById.set(question.id, { question, section }));
+  });
+
+  const updates = [];
+  for (const revisedQuestion of questions) {
+    const existing = questionsById.get(revisedQuestion.questionId);
+    if (!existing) {
+      return res.status(400).json({ error: `Question ${revisedQuestion.questionId} does not belong to this test` });
+    }
+
+    const { question, section } = existing;
+    const { key, error } = buildAnswerKey(revisedQuestion, section.questionType);
+    if (error) {
+      return res.status(400).json({ error: `${section.name}, question ${question.questionNumber}: ${error}` });
+    }
+
+    if (!isSameAnswerKey(question, key)) {
+      updates.push({ question, key, change: describeKeyChange(question, section.name, key) });
+    }
+  }
+
+  if (updates.length === 0) {
+    return res.status(400).json({ error: 'The submitted keys match the current answer keys' });
+  }
+
+  // Dropping or restoring a question changes the maximum score
+  const revisedStatus = new Map(updates.map(({ question, key }) => [question.id, key.status]));
+  const revisedTotal = (sections) => calculateTotalMarks(sections.map(section => ({
+    maxAnswered: section.maxAnswered,
+    questions: section.questions.map(question => ({
+      marks: question.marks,
+      status: revisedStatus.get(question.id) || question.status
+    }))
+  })));
+  const totalMarks = revisedTotal(test.sections);
+  const versionTotals = test.versions
+    .map(version => ({ id: version.id, previous: version.totalMarks, totalMarks: revisedTotal(version.sections) }))
+    .filter(version => version.totalMarks !== version.previous);
+
+  const revision = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      for (const { question, key } of updates) {
+        await tx.question.update({
+          where: { id: question.id },
+          data: toAnswerKeyData(key)
+        });
+      }
+
+      if (totalMarks !== test.totalMarks) {
+        await tx.test.update({
+          where: { id },
+          data: { totalMarks }
+        });
+      }
+
+      for (const version of versionTotals) {
+        await tx.testVersion.update({
+          where: { id: version.id },
+          data: { totalMarks: version.totalMarks }
+        });
+      }
+
+      return await createAnswerKeyRevision(tx, {
+        testId: id,
+        changes: updates.map(update => update.change),
+        reason: reason?.trim() || null,
+        createdById: req.user.id
+      });
+    });
+  });
+
+  scheduleRevisionProcessing();
+
+  res.status(202).json(revision);
+});
+
+// List answer key revisions of a test
+const getAnswerKeyRevisions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const revisions = await retryDatabaseOperation(async () => {
+    return await prisma.answerKeyRevision.findMany({
+      where: { testId: id },
+      include: {
+        createdBy: { select: { id: true, name: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  });
+
+  res.json(revisions);
+});
+
+// Get a revision with the score change of each candidate
+const getAnswerKeyRevisionById = asyncHandler(async (req, res) => {
+  const { id, revisionId } = req.params;
+
+  const revision = await retryDatabaseOperation(async () => {
+    return await prisma.answerKeyRevision.findFirst({
+      where: { id: revisionId, testId: id },
+      include: {
+        createdBy: { select: { id: true, name: true } },
+        results: {
+          include: {
+            attempt: {
+              select: {
+                candidate: { select: { id: true, fullName: true } }
+              }
+            }
+          }
+        }
+      }
+    });
+  });
+
+  if (!revision) {
+    return res.status(404).json({ error: 'Answer key revision not found' });
+  }
+
+  const { results, ...details } = revision;
+  const scoreChanges = toScoreChanges(results);
+
+  res.json({
+    ...details,
+    summary: {
+      regraded: scoreChanges.length,
+      increased: scoreChanges.filter(change => change.difference > 0).length,
+      decreased: scoreChanges.filter(change => change.difference < 0).length,
+      unchanged: scoreChanges.filter(change => change.difference === 0).length
+    },
+    scoreChanges
+  });
+});
+
+// Queue a failed revision to run again
+const retryAnswerKeyRevision = asyncHandler(async (req, res) => {
+  const { id, revisionId } = req.params;
+
+  const revision = await retryDatabaseOperation(async () => {
+    return await prisma.answerKeyRevision.findFirst({
+      where: { id: revisionId, testId: id },
+      select: { id: true, status: true }
+    });
+  });
+
+  if (!revision) {
+    return res.status(404).json({ error: 'Answer key revision not found' });
+  }
+
+  // Only failed runs are requeued; anything else is still queued, running or done
+  const requeued = await retryDatabaseOperation(async () => {
+    return await prisma.answerKeyRevision.updateMany({
+      where: { id: revisionId, status: 'FAILED' },
+      data: { status: 'PENDING', failureCount: 0, error: null }
+    });
+  });
+
+  if (requeued.count === 0) {
+    return res.status(409).json({ error: 'Only failed revisions can be retried', code: 'REVISION_NOT_FAILED' });
+  }
+
+  scheduleRevisionProcessing();
+
+  const updatedRevision = await retryDatabaseOperation(async () => {
+    return await prisma.answerKeyRevision.findUnique({
+      where: { id: revisionId }
+    });
+  });
+
+  res.status(202).json(updatedRevision);
+});
+
+module.exports = {
+  reviseAnswerKeys,
+  getAnswerKeyRevisions,
+  getAnswerKeyRevisionById,
+  retryAnswerKeyRevision
+};
@@ -1,24 +1,64 @@
 const { PrismaClient } = require('@prisma/client');
+const { isAdmin } = require('../middleware/auth');
+const {
+  candidateQuestionSelect,
+  candidateSectionsInclude,
+  toCandidateAttempt
+} = require('../utils/testProjection');
+const {
+  calculateDeadline,
+  getAttemptDeadline,
+  isWithinSubmissionWindow,
+  getTimerState
+} = require('../utils/examTimer');
+const {
+  parseIntegerAnswer,
+  parseNumericAnswer,
+  parseOptionList,
+  parseMatrixResponse,
+  finalizeAttempt
+} = require('../services/grading');
+const { expireAttempt } = require('../services/attemptSweeper');
+const { toNullableJson } = require('../utils/prismaJson');
+const { limitSyncedAnswers } = require('../services/answerLimits');
+const { getAttemptStanding, loadTestStandings, findAttemptStanding } = require('../services/results');
+const { getAttemptNormalization, loadExamStandings, findAttemptNormalization } = require('../services/normalization');
+const { getStartWindowError } = require('../services/testScheduler');
+const {
+  createShuffleSettings,
+  buildAttemptLayout,
+  toCanonicalAnswers,
+  applyAttemptLayout
+} = require('../services/shuffling');
+const { publishTestVersion, withVersionSections } = require('../services/testVersions');
+const { renderScorecard } = require('../services/scorecard');
 const prisma = new PrismaClient();
 
+// Candidate fields returned alongside attempts
+const candidateSummary = {
+  select: {
+    id: true,
+    fullName: true,
+    photo: true
+  }
+};
+
 // Start a test attempt
 const startTestAttempt = async (req, res) => {
   try {
-    const { testId, candidateName, candidateImage } = req.body;
+    const { testId } = req.body;
+
+    const candidate = await prisma.candidate.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!candidate) {
+      return res.status(403).json({ error: 'Candidate profile not found for this account' });
+    }
 
     // Check if test exists and is live
     const test = await prisma.test.findUnique({
-      where: { id: testId },
-      include: {
-        sections: {
-          include: {
-            questions: {
-              orderBy: { questionNumber: 'asc' }
-            }
-          },
-          orderBy: { order: 'asc' }
-        }
-      }
+      where: { id: testId }
     });
 
     if (!test) {
@@ -33,14 +73,30 @@ const startTestAttempt = async (req, res) => {
     const existingAttempt = await prisma.testAttempt.findFirst({
       where: {
         testId,
-        candidateName
+        candidateId: candidate.id
       }
     });
 
+    // Enforce the scheduled window; unfinished attempts may resume after the latest start time
+    const windowError = getStartWindowError(test, Boolean(existingAttempt && !existingAttempt.isCompleted));
+    if (windowError) {
+      return res.status(403).json(windowError);
+    }
+
+    // A resumed attempt keeps its original clock
+    const startTime = new Date();
+    let deadline = calculateDeadline(startTime, test.duration, test.closesAt);
+
     if (existingAttempt) {
       if (existingAttempt.isCompleted) {
         return res.status(400).json({ error: 'You have already completed this test' });
       }
+
+      deadline = getAttemptDeadline(existingAttempt, test);
+      if (!isWithinSubmissionWindow(deadline)) {
+        await expireAttempt(prisma, existingAttempt.id);
+        return res.status(400).json({ error: 'Your time for this test has expired' });
+      }
       
       // If attempt exists but not completed, check if resume permission is needed
       if (existingAttempt.needsResume && !existingAttempt.canResume) {
@@ -50,52 +106,82 @@ const startTestAttempt = async (req, res) => {
           needsResume: true
         });
       }
-      
-      // If can resume or no resume needed, delete old attempt and create fresh one
-      await prisma.testAttempt.delete({
-        where: { id: existingAttempt.id }
-      });
     }
 
-    // Create fresh test attempt (always starts new)
-    const attempt = await prisma.testAttempt.create({
-      data: {
-        testId,
-        candidateName,
-        candidateImage,
-        answers: {
-          create: test.sections.flatMap(section =>
-            section.questions.map(question => ({
-              questionId: question.id,
-              status: 'NOT_VISITED'
-            }))
-          )
-        }
+    const attemptInclude = {
+      candidate: candidateSummary,
+      test: true,
+      version: {
+        include: candidateSectionsInclude
       },
-      include: {
-        test: {
-          include: {
-            sections: {
-              include: {
-                questions: {
-                  orderBy: { questionNumber: 'asc' }
-                }
-              },
-              orderBy: {
-                order: 'asc'
-              }
-            }
-          }
-        },
-        answers: {
-          include: {
-            question: true
+      answers: {
+        include: {
+          question: {
+            select: candidateQuestionSelect
           }
         }
       }
-    });
+    };
+
+    let attempt;
+    if (existingAttempt) {
+      // Resume in place: answers, warnings, version and question order stay as they were,
+      // and a granted resume permission is used up
+      attempt = await prisma.testAttempt.update({
+        where: { id: existingAttempt.id },
+        data: {
+          needsResume: false,
+          canResume: false
+        },
+        include: attemptInclude
+      });
+    } else {
+      // The attempt is created under the test lock so its version cannot be unpublished in between
+      attempt = await prisma.$transaction(async (tx) => {
+        const version = await publishTestVersion(tx, testId);
+        if (!version) return null;
+
+        const sections = await tx.section.findMany({
+          where: { versionId: version.id },
+          include: {
+            questions: {
+              select: { id: true },
+              orderBy: { questionNumber: 'asc' }
+            }
+          },
+          orderBy: { order: 'asc' }
+        });
+
+        return await tx.testAttempt.create({
+          data: {
+            testId,
+            versionId: version.id,
+            candidateId: candidate.id,
+            startTime,
+            deadline,
+            ...createShuffleSettings(test),
+            answers: {
+              create: sections.flatMap(section =>
+                section.questions.map(question => ({
+                  questionId: question.id,
+                  status: 'NOT_VISITED'
+                }))
+              )
+            }
+          },
+          include: attemptInclude
+        });
+      }, { maxWait: 10000, timeout: 30000 });
+    }
 
-    res.status(201).json(attempt);
+    if (!attempt) {
+      return res.status(400).json({ error: 'Test has no questions' });
+    }
+
+    res.status(201).json({
+      ...applyAttemptLayout(withVersionSections(attempt), { asDisplayed: true }),
+      timer: getTimerState(attempt, deadline)
+    });
   } catch (error) {
     console.error('Error starting test attempt:', error);
     res.status(500).json({ error: 'Failed to start test attempt' });
@@ -107,8 +193,53 @@ const syncAnswers = async (req, res) => {
   try {
     const { attemptId, answers } = req.body;
 
+    const attempt = await prisma.testAttempt.findUnique({
+      where: { id: attemptId },
+      include: {
+        test: {
+          select: { duration: true }
+        }
+      }
+    });
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Test attempt not found' });
+    }
+
+    if (attempt.isCompleted) {
+      return res.status(409).json({ error: 'Test has already been submitted', code: 'ATTEMPT_COMPLETED' });
+    }
+
+    // Reject writes once the deadline and grace period have passed
+    const deadline = getAttemptDeadline(attempt, attempt.test);
+    if (!isWithinSubmissionWindow(deadline)) {
+      return res.status(409).json({
+        error: 'Time is up for this test',
+        code: 'ATTEMPT_EXPIRED',
+        timer: getTimerState(attempt, deadline)
+      });
+    }
+
+    // Refuse newly answered questions beyond a section's answer limit
+    const storedAnswers = await prisma.answer.findMany({
+      where: { attemptId },
+      include: {
+        question: {
+          select: {
+            sectionId: true,
+            questionNumber: true,
+            status: true,
+            section: { select: { maxAnswered: true } }
+          }
+        }
+      }
+    });
+    // Candidates send the option labels they were shown
+    const canonicalAnswers = await toCanonicalAnswers(prisma, attempt, answers);
+    const { accepted, rejected } = limitSyncedAnswers(storedAnswers, canonicalAnswers);
+
     // Update answers in batch
-    const updatePromises = answers.map(answer => 
+    const updatePromises = accepted.map(answer => 
       prisma.answer.update({
         where: {
           attemptId_questionId: {
@@ -118,7 +249,10 @@ const syncAnswers = async (req, res) => {
         },
         data: {
           selectedOption: answer.selectedOption,
-          integerAnswer: answer.integerAnswer !== null && answer.integerAnswer !== undefined && answer.integerAnswer !== '' ? parseInt(answer.integerAnswer) : null,
+          selectedOptions: parseOptionList(answer.selectedOptions),
+          integerAnswer: parseIntegerAnswer(answer.integerAnswer),
+          numericAnswer: parseNumericAnswer(answer.numericAnswer),
+          matrixAnswer: toNullableJson(parseMatrixResponse(answer.matrixAnswer)),
           status: answer.status
         }
       })
@@ -126,7 +260,12 @@ const syncAnswers = async (req, res) => {
 
     await Promise.all(updatePromises);
 
-    res.json({ success: true, synced: answers.length });
+    res.json({
+      success: true,
+      synced: accepted.length,
+      rejected: rejected.map(answer => ({ ...answer, code: 'ANSWER_LIMIT_REACHED' })),
+      timer: getTimerState(attempt, deadline)
+    });
   } catch (error) {
     console.error('Error syncing answers:', error);
     res.status(500).json({ error: 'Failed to sync answers' });
@@ -134,30 +273,16 @@ const syncAnswers = async (req, res) => {
 };
 
 // Submit test
+// Grades the stored answers after merging the final payload; repeated calls return the existing result
 const submitTest = async (req, res) => {
   try {
     const { attemptId, answers } = req.body;
 
-    // Get the attempt with test details
     const attempt = await prisma.testAttempt.findUnique({
       where: { id: attemptId },
       include: {
         test: {
-          include: {
-            sections: {
-              include: {
-                questions: {
-                  orderBy: { questionNumber: 'asc' }
-                }
-              },
-              orderBy: { order: 'asc' }
-            }
-          }
-        },
-        answers: {
-          include: {
-            question: true
-          }
+          select: { duration: true }
         }
       }
     });
@@ -166,79 +291,22 @@ const submitTest = async (req, res) => {
       return res.status(404).json({ error: 'Test attempt not found' });
     }
 
-    // Calculate marks
-    let totalMarks = 0;
-    const updatedAnswers = [];
-
-    for (const answer of answers) {
-      const question = attempt.test.sections
-        .flatMap(s => s.questions)
-        .find(q => q.id === answer.questionId);
-
-      if (!question) continue;
-
-      let isCorrect = null; // null = unattempted, true = correct, false = wrong
-      let marksAwarded = 0;
-
-      if (answer.status === 'ANSWERED' || answer.status === 'MARKED_FOR_REVIEW') {
-        // Check if the answer is correct
-        if (question.correctOption && question.correctOption !== '' && answer.selectedOption === question.correctOption) {
-          isCorrect = true;
-          marksAwarded = question.marks;
-        } else if (question.correctInteger !== null && question.correctInteger !== undefined && answer.integerAnswer === question.correctInteger) {
-          isCorrect = true;
-          marksAwarded = question.marks;
-        } else if (answer.selectedOption || (answer.integerAnswer !== null && answer.integerAnswer !== undefined)) {
-          // Student provided an answer but it's wrong
-          isCorrect = false;
-          marksAwarded = question.negativeMarks;
-        }
-        // If no answer provided, isCorrect remains null and marksAwarded remains 0
-      }
-
-      totalMarks += marksAwarded;
-
-      updatedAnswers.push({
-        attemptId,
-        questionId: answer.questionId,
-        selectedOption: answer.selectedOption,
-        integerAnswer: answer.integerAnswer !== null && answer.integerAnswer !== undefined && answer.integerAnswer !== '' ? parseInt(answer.integerAnswer) : null,
-        status: answer.status,
-        isCorrect,
-        marksAwarded
+    let completedNow = false;
+    if (!attempt.isCompleted) {
+      // After the deadline only the last synced answers count
+      const deadline = getAttemptDeadline(attempt, attempt.test);
+      const result = await finalizeAttempt(prisma, attemptId, {
+        answers: isWithinSubmissionWindow(deadline) ? await toCanonicalAnswers(prisma, attempt, answers) : null,
+        submissionType: req.submissionType || 'MANUAL'
       });
+      completedNow = result.completed;
     }
 
-    // Update all answers with marks
-    const updatePromises = updatedAnswers.map(answer =>
-      prisma.answer.update({
-        where: {
-          attemptId_questionId: {
-            attemptId: answer.attemptId,
-            questionId: answer.questionId
-          }
-        },
-        data: {
-          selectedOption: answer.selectedOption,
-          integerAnswer: answer.integerAnswer,
-          status: answer.status,
-          isCorrect: answer.isCorrect,
-          marksAwarded: answer.marksAwarded
-        }
-      })
-    );
-
-    await Promise.all(updatePromises);
-
-    // Mark attempt as completed
-    const completedAttempt = await prisma.testAttempt.update({
+    // Load the completed attempt
+    const completedAttempt = await prisma.testAttempt.findUnique({
       where: { id: attemptId },
-      data: {
-        isCompleted: true,
-        totalMarks,
-        endTime: new Date()
-      },
       include: {
+        candidate: candidateSummary,
         test: true,
         answers: {
           include: {
@@ -252,14 +320,15 @@ const submitTest = async (req, res) => {
       }
     });
 
-    // Automatically stop the test from being live when student completes it
-    // This is for single student use - test should move to attempted tests
-    await prisma.test.update({
-      where: { id: completedAttempt.testId },
-      data: { isLive: false }
-    });
+    if (completedNow && completedAttempt.test.stopAfterFirstSubmission) {
+      // Opt-in for single student use - the test moves to attempted tests
+      await prisma.test.update({
+        where: { id: completedAttempt.testId },
+        data: { isLive: false }
+      });
 
-    console.log(`Test ${completedAttempt.test.name} automatically stopped after completion by ${completedAttempt.candidateName}`);
+      console.log(`Test ${completedAttempt.test.name} automatically stopped after completion by ${completedAttempt.candidate.fullName}`);
+    }
 
     res.json(completedAttempt);
   } catch (error) {
@@ -282,14 +351,12 @@ const updateWarningCount = async (req, res) => {
       }
     });
 
-    // Auto-submit if warning count reaches 5
+    // Auto-submit if warning count reaches 5 (graded from the stored answers)
     if (attempt.warningCount >= 5) {
-      // Get current answers and submit
-      const currentAnswers = await prisma.answer.findMany({
-        where: { attemptId }
-      });
-
-      await submitTest({ body: { attemptId, answers: currentAnswers } }, res);
+      await submitTest({
+        body: { attemptId },
+        submissionType: 'WARNING_LIMIT'
+      }, res);
       return;
     }
 
@@ -308,10 +375,13 @@ const getAttemptById = async (req, res) => {
     const attempt = await prisma.testAttempt.findUnique({
       where: { id },
       include: {
-        test: {
+        candidate: candidateSummary,
+        test: true,
+        version: {
           include: {
             sections: {
               include: {
+                groups: { orderBy: { order: 'asc' } },
                 questions: {
                   orderBy: { questionNumber: 'asc' }
                 }
@@ -338,25 +408,54 @@ const getAttemptById = async (req, res) => {
       return res.status(404).json({ error: 'Attempt not found' });
     }
 
-    res.json(attempt);
+    // Rank and percentile in the test, plus the normalized score when it is a shift of an exam
+    const standing = await getAttemptStanding(prisma, attempt);
+    const normalization = await getAttemptNormalization(prisma, attempt);
+
+    // Keys and solutions are only shown once the attempt is submitted
+    const pinnedAttempt = withVersionSections(attempt);
+    const view = isAdmin(req) ? pinnedAttempt : toCandidateAttempt(pinnedAttempt);
+    res.json({
+      ...applyAttemptLayout(view, { asDisplayed: !isAdmin(req) && !attempt.isCompleted }),
+      standing,
+      normalization
+    });
   } catch (error) {
     console.error('Error fetching attempt:', error);
     res.status(500).json({ error: 'Failed to fetch attempt' });
   }
 };
 
-// Get user attempts
-const getUserAttempts = async (req, res) => {
+// Get a candidate's completed attempts ("me" resolves to the logged in candidate)
+const getCandidateAttempts = async (req, res) => {
   try {
-    const { candidateName } = req.params;
+    let { candidateId } = req.params;
+
+    // Candidates can only read their own history
+    if (!isAdmin(req)) {
+      const candidate = await prisma.candidate.findUnique({
+        where: { userId: req.user.id },
+        select: { id: true }
+      });
+
+      if (!candidate || (candidateId !== 'me' && candidateId !== candidate.id)) {
+        return res.status(403).json({ error: 'You do not have access to this history' });
+      }
+
+      candidateId = candidate.id;
+    } else if (candidateId === 'me') {
+      return res.status(400).json({ error: 'Admins must specify a candidate ID' });
+    }
 
     const attempts = await prisma.testAttempt.findMany({
       where: {
-        candidateName,
+        candidateId,
         isCompleted: true
       },
       include: {
-        test: {
+        candidate: candidateSummary,
+        test: true,
+        version: {
           include: {
             sections: {
               include: {
@@ -375,10 +474,31 @@ const getUserAttempts = async (req, res) => {
       }
     });
 
-    res.json(attempts);
+    // Each test is ranked and each exam normalized once, however many of their attempts are listed
+    const standingsByTest = new Map();
+    for (const testId of new Set(attempts.map(attempt => attempt.testId))) {
+      standingsByTest.set(testId, await loadTestStandings(prisma, testId));
+    }
+    const standingsByExam = new Map();
+    for (const examId of new Set(attempts.map(attempt => attempt.test.examId).filter(Boolean))) {
+      standingsByExam.set(examId, await loadExamStandings(prisma, examId));
+    }
+
+    const attemptsWithStanding = [];
+    for (const attempt of attempts) {
+      attemptsWithStanding.push({
+        ...applyAttemptLayout(withVersionSections(attempt)),
+        standing: findAttemptStanding(standingsByTest.get(attempt.testId), attempt.id),
+        normalization: attempt.test.examId
+          ? findAttemptNormalization(standingsByExam.get(attempt.test.examId), attempt.id)
+          : null
+      });
+    }
+
+    res.json(attemptsWithStanding);
   } catch (error) {
-    console.error('Error fetching user attempts:', error);
-    res.status(500).json({ error: 'Failed to fetch user attempts' });
+    console.error('Error fetching candidate attempts:', error);
+    res.status(500).json({ error: 'Failed to fetch candidate attempts' });
   }
 };
 
@@ -388,7 +508,7 @@ module.exports = {
   submitTest,
   updateWarningCount,
   getAttemptById,
-  getUserAttempts
+  getCandidateAttempts
 };
 
 // Request resume permission (when student closes tab)
@@ -441,6 +561,7 @@ const getResumeRequests = async (req, res) => {
         isCompleted: false
       },
       include: {
+        candidate: candidateSummary,
         test: true
       },
       orderBy: {
@@ -461,7 +582,7 @@ module.exports = {
   submitTest,
   updateWarningCount,
   getAttemptById,
-  getUserAttempts,
+  getCandidateAttempts,
   requestResume,
   allowResume,
   getResumeRequests
@@ -592,10 +713,12 @@ const getTimeAnalytics = async (req, res) => {
       return res.status(400).json({ error: 'Attempt ID is required' });
     }
 
-    const attempt = await prisma.testAttempt.findUnique({
+    const storedAttempt = await prisma.testAttempt.findUnique({
       where: { id: attemptId },
       include: {
-        test: {
+        candidate: candidateSummary,
+        test: true,
+        version: {
           include: {
             sections: {
               include: {
@@ -619,10 +742,13 @@ const getTimeAnalytics = async (req, res) => {
       }
     });
 
-    if (!attempt) {
+    if (!storedAttempt) {
       return res.status(404).json({ error: 'Test attempt not found' });
     }
 
+    // Analyse the sections of the version the candidate took
+    const attempt = withVersionSections(storedAttempt);
+
     // Calculate section-wise time analytics
     const sectionAnalytics = attempt.test.sections.map(section => {
       const sectionAnswers = attempt.answers.filter(
@@ -640,20 +766,32 @@ const getTimeAnalytics = async (req, res) => {
         totalVisits,
         questionsAttempted,
         totalQuestions: section.questions.length,
+        maxAnswered: section.maxAnswered,
         averageTimePerQuestion: questionsAttempted > 0 ? Math.round(totalTime / questionsAttempted) : 0
       };
     });
 
-    // Calculate question-wise analytics
+    // Calculate question-wise analytics; shuffled attempts also report where each question was shown
+    const layout = buildAttemptLayout(attempt, attempt.test.sections);
     const questionAnalytics = attempt.answers.map(answer => ({
       questionId: answer.questionId,
       questionNumber: answer.question.questionNumber,
+      displayNumber: layout.get(answer.questionId)?.displayNumber ?? null,
+      optionOrder: layout.get(answer.questionId)?.optionOrder ?? null,
       sectionName: answer.question.section.name,
+      questionType: answer.question.section.questionType,
+      selectedOption: answer.selectedOption,
+      selectedOptions: answer.selectedOptions,
+      integerAnswer: answer.integerAnswer,
+      numericAnswer: answer.numericAnswer,
+      matrixAnswer: answer.matrixAnswer,
       timeSpent: answer.timeSpent,
       visitCount: answer.visitCount,
       firstVisitTime: answer.firstVisitTime,
       lastVisitTime: answer.lastVisitTime,
       isCorrect: answer.isCorrect,
+      isPartiallyCorrect: answer.isPartiallyCorrect,
+      isCounted: answer.isCounted,
       marksAwarded: answer.marksAwarded
     }));
 
@@ -663,7 +801,8 @@ const getTimeAnalytics = async (req, res) => {
 
     res.json({
       attemptId,
-      candidateName: attempt.candidateName,
+      candidateId: attempt.candidateId,
+      candidateName: attempt.candidate.fullName,
       testName: attempt.test.name,
       totalTestTime,
       totalVisits,
@@ -677,17 +816,110 @@ const getTimeAnalytics = async (req, res) => {
   }
 };
 
+// Get the server clock and remaining time for an attempt
+const getAttemptClock = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const attempt = await prisma.testAttempt.findUnique({
+      where: { id },
+      include: {
+        test: {
+          select: { duration: true }
+        }
+      }
+    });
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Test attempt not found' });
+    }
+
+    res.json({
+      attemptId: attempt.id,
+      isCompleted: attempt.isCompleted,
+      ...getTimerState(attempt, getAttemptDeadline(attempt, attempt.test))
+    });
+  } catch (error) {
+    console.error('Error fetching attempt clock:', error);
+    res.status(500).json({ error: 'Failed to fetch attempt clock' });
+  }
+};
+
+// Download the scorecard and response sheet of a submitted attempt as a PDF
+const getAttemptScorecard = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const storedAttempt = await prisma.testAttempt.findUnique({
+      where: { id },
+      include: {
+        // The scorecard also prints the phone number
+        candidate: { select: { ...candidateSummary.select, phone: true } },
+        test: true,
+        version: {
+          include: {
+            sections: {
+              include: {
+                questions: {
+                  orderBy: { questionNumber: 'asc' }
+                }
+              },
+              orderBy: { order: 'asc' }
+            }
+          }
+        },
+        answers: {
+          include: {
+            question: {
+              select: { sectionId: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!storedAttempt) {
+      return res.status(404).json({ error: 'Test attempt not found' });
+    }
+
+    if (!storedAttempt.isCompleted) {
+      return res.status(409).json({ error: 'The scorecard is available once the test is submitted' });
+    }
+
+    const attempt = withVersionSections(storedAttempt);
+    const standing = await getAttemptStanding(prisma, attempt);
+    const normalization = await getAttemptNormalization(prisma, attempt);
+
+    const fileName = `${attempt.candidate.fullName}-${attempt.test.name}`.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'scorecard';
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}-scorecard.pdf"`
+    });
+
+    await renderScorecard(attempt, { standing, normalization }, res);
+  } catch (error) {
+    console.error('Error generating scorecard:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to generate scorecard' });
+    }
+  }
+};
+
 module.exports = {
   startTestAttempt,
   syncAnswers,
   submitTest,
   updateWarningCount,
   getAttemptById,
-  getUserAttempts,
+  getCandidateAttempts,
   requestResume,
   allowResume,
   getResumeRequests,
   updateQuestionTime,
   syncTimeData,
-  getTimeAnalytics
+  getTimeAnalytics,
+  getAttemptClock,
+  getAttemptScorecard
 };
\ No newline at end of file
@@ -0,0 +1,168 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  toPublicUser
+} = require('../utils/authUtils');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const prisma = new PrismaClient();
+
+const MIN_PASSWORD_LENGTH = 8;
+const USER_ROLES = ['ADMIN', 'CANDIDATE'];
+
+// Validate account fields shared by registration and admin user creation
+const validateAccountInput = ({ name, email, password }) => {
+  // Checked first so the string methods below cannot throw on JSON objects or arrays
+  if ([name, email, password].some(value => value && typeof value !== 'string')) return 'Invalid input';
+  if (!name || !name.trim()) return 'Name is required';
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'A valid email is required';
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Create a user account, returning null if the email is already taken
+// Candidate accounts get their candidate profile created alongside
+const createUserAccount = async ({ name, email, password, role, profile = {} }) => {
+  const normalizedEmail = email.trim().toLowerCase();
+
+  const existingUser = await retryDatabaseOperation(async () => {
+    return await prisma.user.findUnique({ where: { email: normalizedEmail } });
+  });
+
+  if (existingUser) {
+    return null;
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  return await retryDatabaseOperation(async () => {
+    return await prisma.user.create({
+      data: {
+        name: name.trim(),
+        email: normalizedEmail,
+        passwordHash,
+        role,
+        ...(role === 'CANDIDATE' && {
+          candidate: {
+            create: {
+              fullName: name.trim(),
+              phone: profile.phone || null,
+              dateOfBirth: profile.dateOfBirth ? new Date(profile.dateOfBirth) : null
+            }
+          }
+        })
+      },
+      include: { candidate: true }
+    });
+  });
+};
+
+// Register a candidate account
+const register = asyncHandler(async (req, res) => {
+  const { name, email, password, phone, dateOfBirth } = req.body;
+
+  const validationError = validateAccountInput({ name, email, password });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  if (dateOfBirth && isNaN(new Date(dateOfBirth).getTime())) {
+    return res.status(400).json({ error: 'Invalid date of birth' });
+  }
+
+  const user = await createUserAccount({
+    name,
+    email,
+    password,
+    role: 'CANDIDATE',
+    profile: { phone, dateOfBirth }
+  });
+  if (!user) {
+    return res.status(409).json({ error: 'An account with this email already exists' });
+  }
+
+  res.status(201).json({
+    token: signAccessToken(user),
+    user: toPublicUser(user)
+  });
+});
+
+// Log in and issue an access token
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Invalid input' });
+  }
+
+  const user = await retryDatabaseOperation(async () => {
+    return await prisma.user.findUnique({
+      where: { email: email.trim().toLowerCase() },
+      include: { candidate: true }
+    });
+  });
+
+  const passwordMatches = user ? await verifyPassword(password, user.passwordHash) : false;
+  if (!passwordMatches) {
+    return res.status(401).json({ error: 'Invalid email or password' });
+  }
+
+  res.json({
+    token: signAccessToken(user),
+    user: toPublicUser(user)
+  });
+});
+
+// Get the currently logged in user
+const getCurrentUser = asyncHandler(async (req, res) => {
+  const user = await retryDatabaseOperation(async () => {
+    return await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: { candidate: true }
+    });
+  });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  res.json(toPublicUser(user));
+});
+
+// Create a user with any role (admin only)
+const createUser = asyncHandler(async (req, res) => {
+  const { name, email, password, role = 'CANDIDATE' } = req.body;
+
+  const validationError = validateAccountInput({ name, email, password });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+  }
+
+  const user = await createUserAccount({ name, email, password, role });
+  if (!user) {
+    return res.status(409).json({ error: 'An account with this email already exists' });
+  }
+
+  res.status(201).json(toPublicUser(user));
+});
+
+module.exports = {
+  register,
+  login,
+  getCurrentUser,
+  createUser,
+  createUserAccount
+};
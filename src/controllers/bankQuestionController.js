@@ -0,0 +1,299 @@
+const { PrismaClient } = require('@prisma/client');
+const { toStoredImageUrl } = require('../storage');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  parseBankTags,
+  parseBankKey,
+  toKeyData,
+  propagateBankQuestion
+} = require('../services/questionBank');
+const { scheduleRevisionProcessing } = require('../services/answerKeyRevisions');
+const { deleteUnreferencedImages } = require('../services/imageReferences');
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Test questions that use a bank question, including those of earlier test versions
+const usageInclude = {
+  questions: {
+    select: {
+      id: true,
+      questionNumber: true,
+      section: {
+        select: {
+          id: true,
+          name: true,
+          test: { select: { id: true, name: true } },
+          version: {
+            select: {
+              version: true,
+              test: { select: { id: true, name: true } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Resolve an image from a new upload or an existing URL in the body
+const resolveImage = (req, field) => {
+  const file = req.files?.[field]?.[0];
+  if (file) return file.path;
+  return toStoredImageUrl(req.body[field]);
+};
+
+// Create a bank question
+const createBankQuestion = asyncHandler(async (req, res) => {
+  const { tags, error: tagError } = parseBankTags(req.body);
+  if (tagError) {
+    return res.status(400).json({ error: tagError });
+  }
+
+  const { questionType, key, error: keyError } = parseBankKey(req.body);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  const bankQuestion = await retryDatabaseOperation(async () => {
+    return await prisma.bankQuestion.create({
+      data: {
+        questionType,
+        questionImage: resolveImage(req, 'questionImage'),
+        solutionImage: resolveImage(req, 'solutionImage'),
+        ...toKeyData(key),
+        ...tags
+      }
+    });
+  });
+
+  res.status(201).json(bankQuestion);
+});
+
+// Search bank questions by tags
+const getBankQuestions = asyncHandler(async (req, res) => {
+  const { subject, chapter, topic, difficulty, sourceYear, questionType, search } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const where = {};
+  if (subject) where.subject = { equals: subject, mode: 'insensitive' };
+  if (chapter) where.chapter = { equals: chapter, mode: 'insensitive' };
+  if (topic) where.topic = { equals: topic, mode: 'insensitive' };
+  if (difficulty && DIFFICULTIES.includes(difficulty.toUpperCase())) where.difficulty = difficulty.toUpperCase();
+  if (sourceYear && !Number.isNaN(parseInt(sourceYear, 10))) where.sourceYear = parseInt(sourceYear, 10);
+  if (questionType && QUESTION_TYPES.includes(questionType)) where.questionType = questionType;
+  if (search) {
+    where.OR = [
+      { subject: { contains: search, mode: 'insensitive' } },
+      { chapter: { contains: search, mode: 'insensitive' } },
+      { topic: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const [total, bankQuestions] = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction([
+      prisma.bankQuestion.count({ where }),
+      prisma.bankQuestion.findMany({
+        where,
+        include: {
+          _count: { select: { questions: true } }
+        },
+        orderBy: [
+          { subject: 'asc' },
+          { chapter: 'asc' },
+          { createdAt: 'desc' }
+        ],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+  });
+
+  res.json({
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    questions: bankQuestions
+  });
+});
+
+// Get a bank question and the tests that use it
+const getBankQuestionById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const bankQuestion = await retryDatabaseOperation(async () => {
+    return await prisma.bankQuestion.findUnique({
+      where: { id },
+      include: usageInclude
+    });
+  });
+
+  if (!bankQuestion) {
+    return res.status(404).json({ error: 'Bank question not found' });
+  }
+
+  res.json(bankQuestion);
+});
+
+// Update a bank question and copy the change into every test that uses it
+const updateBankQuestion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existingQuestion = await retryDatabaseOperation(async () => {
+    return await prisma.bankQuestion.findUnique({
+      where: { id },
+      include: { _count: { select: { questions: true } } }
+    });
+  });
+
+  if (!existingQuestion) {
+    return res.status(404).json({ error: 'Bank question not found' });
+  }
+
+  const { tags, error: tagError } = parseBankTags(req.body);
+  if (tagError) {
+    return res.status(400).json({ error: tagError });
+  }
+
+  const { questionType, key, error: keyError } = parseBankKey(req.body);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  // Linked sections are typed, so the type is fixed while the question is in use
+  if (questionType !== existingQuestion.questionType && existingQuestion._count.questions > 0) {
+    return res.status(409).json({ error: 'Question type cannot change while tests use this question' });
+  }
+
+  const { bankQuestion, propagation } = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      const updatedQuestion = await tx.bankQuestion.update({
+        where: { id },
+        data: {
+          questionType,
+          questionImage: resolveImage(req, 'questionImage'),
+          solutionImage: resolveImage(req, 'solutionImage'),
+          ...toKeyData(key),
+          ...tags
+        },
+        include: usageInclude
+      });
+
+      return {
+        bankQuestion: updatedQuestion,
+        propagation: await propagateBankQuestion(tx, updatedQuestion, req.user.id)
+      };
+    });
+  });
+
+  if (propagation.revisions.length > 0) {
+    scheduleRevisionProcessing();
+  }
+
+  // Remove replaced images once nothing refers to them
+  const replacedImages = [existingQuestion.questionImage, existingQuestion.solutionImage]
+    .filter(url => url && url !== bankQuestion.questionImage && url !== bankQuestion.solutionImage);
+  if (replacedImages.length > 0) {
+    try {
+      await deleteUnreferencedImages(prisma, replacedImages);
+    } catch (cleanupError) {
+      console.error('Error cleaning up replaced bank images:', cleanupError);
+    }
+  }
+
+  res.json({
+    ...bankQuestion,
+    linkedQuestionsUpdated: propagation.updated,
+    answerKeyRevisions: propagation.revisions
+  });
+});
+
+// Delete a bank question; tests keep their copies of it
+const deleteBankQuestion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const bankQuestion = await retryDatabaseOperation(async () => {
+    return await prisma.bankQuestion.findUnique({ where: { id } });
+  });
+
+  if (!bankQuestion) {
+    return res.status(404).json({ error: 'Bank question not found' });
+  }
+
+  await retryDatabaseOperation(async () => {
+    return await prisma.bankQuestion.delete({ where: { id } });
+  });
+
+  try {
+    await deleteUnreferencedImages(prisma, [bankQuestion.questionImage, bankQuestion.solutionImage]);
+  } catch (cleanupError) {
+    console.error('Error cleaning up bank question images:', cleanupError);
+  }
+
+  res.json({ message: 'Bank question deleted successfully' });
+});
+
+// Save an existing test question to the bank and link it
+const addTestQuestionToBank = asyncHandler(async (req, res) => {
+  const { questionId } = req.params;
+
+  const { tags, error: tagError } = parseBankTags(req.body);
+  if (tagError) {
+    return res.status(400).json({ error: tagError });
+  }
+
+  const question = await retryDatabaseOperation(async () => {
+    return await prisma.question.findUnique({
+      where: { id: questionId },
+      include: { section: { select: { questionType: true } } }
+    });
+  });
+
+  if (!question) {
+    return res.status(404).json({ error: 'Question not found' });
+  }
+
+  if (question.bankQuestionId) {
+    return res.status(409).json({ error: 'Question is already in the bank', bankQuestionId: question.bankQuestionId });
+  }
+
+  const bankQuestion = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      const createdQuestion = await tx.bankQuestion.create({
+        data: {
+          questionType: question.section.questionType,
+          questionImage: question.questionImage,
+          solutionImage: question.solutionImage,
+          ...toKeyData(question),
+          ...tags
+        }
+      });
+
+      await tx.question.update({
+        where: { id: questionId },
+        data: { bankQuestionId: createdQuestion.id }
+      });
+
+      return createdQuestion;
+    });
+  });
+
+  res.status(201).json(bankQuestion);
+});
+
+module.exports = {
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestionById,
+  updateBankQuestion,
+  deleteBankQuestion,
+  addTestQuestionToBank
+};
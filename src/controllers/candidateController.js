@@ -0,0 +1,221 @@
+const { PrismaClient } = require('@prisma/client');
+const { deleteImages } = require('../storage');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const prisma = new PrismaClient();
+
+// Parse optional profile fields, returning an error message for invalid input
+const parseProfileInput = ({ fullName, phone, dateOfBirth }) => {
+  const data = {};
+
+  if (fullName !== undefined) {
+    if (fullName && typeof fullName !== 'string') return { error: 'Full name must be text' };
+    if (!fullName || !fullName.trim()) return { error: 'Full name cannot be empty' };
+    data.fullName = fullName.trim();
+  }
+
+  if (phone !== undefined) {
+    data.phone = phone ? String(phone).trim() : null;
+  }
+
+  if (dateOfBirth !== undefined) {
+    if (dateOfBirth && isNaN(new Date(dateOfBirth).getTime())) {
+      return { error: 'Invalid date of birth' };
+    }
+    data.dateOfBirth = dateOfBirth ? new Date(dateOfBirth) : null;
+  }
+
+  return { data };
+};
+
+// Get the logged in candidate's profile
+const getMyProfile = asyncHandler(async (req, res) => {
+  const candidate = await retryDatabaseOperation(async () => {
+    return await prisma.candidate.findUnique({
+      where: { userId: req.user.id }
+    });
+  });
+
+  if (!candidate) {
+    return res.status(404).json({ error: 'Candidate profile not found' });
+  }
+
+  res.json(candidate);
+});
+
+// Update the logged in candidate's profile and photo
+const updateMyProfile = asyncHandler(async (req, res) => {
+  const existingCandidate = await retryDatabaseOperation(async () => {
+    return await prisma.candidate.findUnique({
+      where: { userId: req.user.id }
+    });
+  });
+
+  if (!existingCandidate) {
+    return res.status(404).json({ error: 'Candidate profile not found' });
+  }
+
+  const { data, error } = parseProfileInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (req.file) {
+    data.photo = req.file.path;
+  }
+
+  const candidate = await retryDatabaseOperation(async () => {
+    return await prisma.candidate.update({
+      where: { id: existingCandidate.id },
+      data
+    });
+  });
+
+  // Remove the replaced photo
+  if (req.file && existingCandidate.photo) {
+    try {
+      await deleteImages([existingCandidate.photo]);
+    } catch (cleanupError) {
+      console.error('Error deleting previous candidate photo:', cleanupError);
+    }
+  }
+
+  res.json(candidate);
+});
+
+// List candidates (admin)
+const getCandidates = asyncHandler(async (req, res) => {
+  const { search } = req.query;
+
+  const candidates = await retryDatabaseOperation(async () => {
+    return await prisma.candidate.findMany({
+      where: search ? {
+        OR: [
+          { fullName: { contains: search, mode: 'insensitive' } },
+          { user: { email: { contains: search, mode: 'insensitive' } } }
+        ]
+      } : {},
+      include: {
+        user: {
+          select: { id: true, email: true }
+        },
+        _count: {
+          select: { attempts: true }
+        }
+      },
+      orderBy: { fullName: 'asc' }
+    });
+  });
+
+  res.json(candidates);
+});
+
+// Get candidate by ID (admin)
+const getCandidateById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const candidate = await retryDatabaseOperation(async () => {
+    return await prisma.candidate.findUnique({
+      where: { id },
+      include: {
+        user: {
+          select: { id: true, email: true }
+        },
+        _count: {
+          select: { attempts: true }
+        }
+      }
+    });
+  });
+
+  if (!candidate) {
+    return res.status(404).json({ error: 'Candidate not found' });
+  }
+
+  res.json(candidate);
+});
+
+// Link a legacy (name-only) candidate to a candidate account (admin)
+// If the account already has a profile, the legacy attempts are moved onto it
+const linkCandidateToUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { userId } = req.body;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  const [legacyCandidate, user] = await retryDatabaseOperation(async () => {
+    return await Promise.all([
+      prisma.candidate.findUnique({ where: { id } }),
+      prisma.user.findUnique({ where: { id: userId }, include: { candidate: true } })
+    ]);
+  });
+
+  if (!legacyCandidate) {
+    return res.status(404).json({ error: 'Candidate not found' });
+  }
+
+  if (legacyCandidate.userId) {
+    return res.status(400).json({ error: 'Candidate is already linked to an account' });
+  }
+
+  if (!user || user.role !== 'CANDIDATE') {
+    return res.status(400).json({ error: 'User must be an existing candidate account' });
+  }
+
+  if (!user.candidate) {
+    const candidate = await retryDatabaseOperation(async () => {
+      return await prisma.candidate.update({
+        where: { id },
+        data: { userId }
+      });
+    });
+    return res.json(candidate);
+  }
+
+  const targetCandidate = user.candidate;
+
+  // A candidate can only hold one attempt per test, so refuse to merge overlapping tests
+  const [legacyAttempts, targetAttempts] = await retryDatabaseOperation(async () => {
+    return await Promise.all([
+      prisma.testAttempt.findMany({ where: { candidateId: id }, select: { testId: true } }),
+      prisma.testAttempt.findMany({ where: { candidateId: targetCandidate.id }, select: { testId: true } })
+    ]);
+  });
+
+  const targetTestIds = new Set(targetAttempts.map(attempt => attempt.testId));
+  if (legacyAttempts.some(attempt => targetTestIds.has(attempt.testId))) {
+    return res.status(409).json({ error: 'Both profiles have attempts for the same test' });
+  }
+
+  const mergedCandidate = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      await tx.testAttempt.updateMany({
+        where: { candidateId: id },
+        data: { candidateId: targetCandidate.id }
+      });
+
+      await tx.candidate.delete({ where: { id } });
+
+      return await tx.candidate.update({
+        where: { id: targetCandidate.id },
+        data: {
+          photo: targetCandidate.photo || legacyCandidate.photo
+        }
+      });
+    });
+  });
+
+  res.json(mergedCandidate);
+});
+
+module.exports = {
+  getMyProfile,
+  updateMyProfile,
+  getCandidates,
+  getCandidateById,
+  linkCandidateToUser
+};
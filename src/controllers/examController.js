@@ -0,0 +1,241 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const { loadExamStandings } = require('../services/normalization');
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Shift fields returned with an exam
+const shiftSelect = {
+  select: {
+    id: true,
+    name: true,
+    shiftLabel: true,
+    duration: true,
+    totalMarks: true,
+    isLive: true,
+    _count: { select: { attempts: true } }
+  },
+  orderBy: { createdAt: 'asc' }
+};
+
+// Create an exam
+const createExam = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ error: 'Exam name is required' });
+  }
+
+  const exam = await retryDatabaseOperation(async () => {
+    return await prisma.exam.create({
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null
+      },
+      include: { tests: shiftSelect }
+    });
+  });
+
+  res.status(201).json(exam);
+});
+
+// List exams with their shifts
+const getExams = asyncHandler(async (req, res) => {
+  const exams = await retryDatabaseOperation(async () => {
+    return await prisma.exam.findMany({
+      include: { tests: shiftSelect },
+      orderBy: { createdAt: 'desc' }
+    });
+  });
+
+  res.json(exams);
+});
+
+// Get an exam with its shifts
+const getExamById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const exam = await retryDatabaseOperation(async () => {
+    return await prisma.exam.findUnique({
+      where: { id },
+      include: { tests: shiftSelect }
+    });
+  });
+
+  if (!exam) {
+    return res.status(404).json({ error: 'Exam not found' });
+  }
+
+  res.json(exam);
+});
+
+// Rename an exam
+const updateExam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, description } = req.body;
+
+  if (name !== undefined && !name.trim()) {
+    return res.status(400).json({ error: 'Exam name cannot be empty' });
+  }
+
+  const existingExam = await retryDatabaseOperation(async () => {
+    return await prisma.exam.findUnique({ where: { id } });
+  });
+
+  if (!existingExam) {
+    return res.status(404).json({ error: 'Exam not found' });
+  }
+
+  const exam = await retryDatabaseOperation(async () => {
+    return await prisma.exam.update({
+      where: { id },
+      data: {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(description !== undefined && { description: description?.trim() || null })
+      },
+      include: { tests: shiftSelect }
+    });
+  });
+
+  res.json(exam);
+});
+
+// Delete an exam; its tests are kept as standalone tests
+const deleteExam = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existingExam = await retryDatabaseOperation(async () => {
+    return await prisma.exam.findUnique({ where: { id } });
+  });
+
+  if (!existingExam) {
+    return res.status(404).json({ error: 'Exam not found' });
+  }
+
+  await retryDatabaseOperation(async () => {
+    return await prisma.$transaction([
+      prisma.test.updateMany({
+        where: { examId: id },
+        data: { examId: null, shiftLabel: null }
+      }),
+      prisma.exam.delete({ where: { id } })
+    ]);
+  });
+
+  res.json({ message: 'Exam deleted successfully' });
+});
+
+// Add a test to an exam as a shift, or relabel it
+const addShift = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { testId, shiftLabel } = req.body;
+
+  if (!testId) {
+    return res.status(400).json({ error: 'Test ID is required' });
+  }
+
+  const [exam, test] = await retryDatabaseOperation(async () => {
+    return await Promise.all([
+      prisma.exam.findUnique({ where: { id } }),
+      prisma.test.findUnique({ where: { id: testId }, select: { id: true, examId: true } })
+    ]);
+  });
+
+  if (!exam) {
+    return res.status(404).json({ error: 'Exam not found' });
+  }
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+  if (test.examId && test.examId !== id) {
+    return res.status(409).json({ error: 'Test is already a shift of another exam' });
+  }
+
+  await retryDatabaseOperation(async () => {
+    return await prisma.test.update({
+      where: { id: testId },
+      data: {
+        examId: id,
+        shiftLabel: shiftLabel?.trim() || null
+      }
+    });
+  });
+
+  const updatedExam = await retryDatabaseOperation(async () => {
+    return await prisma.exam.findUnique({
+      where: { id },
+      include: { tests: shiftSelect }
+    });
+  });
+
+  res.json(updatedExam);
+});
+
+// Remove a shift from an exam
+const removeShift = asyncHandler(async (req, res) => {
+  const { id, testId } = req.params;
+
+  const result = await retryDatabaseOperation(async () => {
+    return await prisma.test.updateMany({
+      where: { id: testId, examId: id },
+      data: { examId: null, shiftLabel: null }
+    });
+  });
+
+  if (result.count === 0) {
+    return res.status(404).json({ error: 'Shift not found in this exam' });
+  }
+
+  res.json({ message: 'Shift removed from exam' });
+});
+
+// Get the merged, normalized leaderboard of an exam, one page at a time
+const getExamResults = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const result = await retryDatabaseOperation(async () => {
+    return await loadExamStandings(prisma, id);
+  });
+
+  if (!result) {
+    return res.status(404).json({ error: 'Exam not found' });
+  }
+
+  const { exam, standings } = result;
+
+  res.json({
+    exam: {
+      id: exam.id,
+      name: exam.name,
+      shifts: exam.tests.map(test => ({
+        testId: test.id,
+        shiftLabel: test.shiftLabel || test.name,
+        totalMarks: test.totalMarks,
+        candidates: standings.filter(standing => standing.testId === test.id).length
+      }))
+    },
+    totalCandidates: standings.length,
+    page,
+    limit,
+    totalPages: Math.ceil(standings.length / limit),
+    results: standings.slice((page - 1) * limit, page * limit)
+  });
+});
+
+module.exports = {
+  createExam,
+  getExams,
+  getExamById,
+  updateExam,
+  deleteExam,
+  addShift,
+  removeShift,
+  getExamResults
+};
@@ -0,0 +1,83 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const { loadTestStandings } = require('../services/results');
+const {
+  EXPORT_FORMATS,
+  loadResultsExport,
+  writeResultsCsv,
+  writeResultsXlsx
+} = require('../services/resultsExport');
+const prisma = new PrismaClient();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Get the ranked leaderboard of a test, one page at a time
+const getTestResults = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const result = await retryDatabaseOperation(async () => {
+    return await loadTestStandings(prisma, id);
+  });
+
+  if (!result) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const { test, standings } = result;
+
+  res.json({
+    test,
+    totalCandidates: standings.length,
+    page,
+    limit,
+    totalPages: Math.ceil(standings.length / limit),
+    results: standings.slice((page - 1) * limit, page * limit)
+  });
+});
+
+// Download the results of a test as CSV or XLSX, one row per candidate in rank order
+const exportTestResults = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const format = String(req.query.format || 'csv').toLowerCase();
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const layout = await retryDatabaseOperation(async () => {
+    return await loadResultsExport(prisma, id);
+  });
+
+  if (!layout) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const fileName = `${layout.test.name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'test'}-results`;
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${fileName}.${EXPORT_FORMATS[format].extension}"`
+  });
+
+  // Rows are streamed, so a failure part way can only abort the download
+  try {
+    if (format === 'xlsx') {
+      await writeResultsXlsx(prisma, layout, res);
+    } else {
+      await writeResultsCsv(prisma, layout, res);
+    }
+  } catch (exportError) {
+    console.error('Error exporting results:', exportError);
+    res.destroy(exportError);
+  }
+});
+
+module.exports = {
+  getTestResults,
+  exportTestResults
+};
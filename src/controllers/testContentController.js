@@ -0,0 +1,411 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const { toStoredImageUrl } = require('../storage');
+const { QUESTION_TYPES } = require('../services/questionBank');
+const {
+  createAnswerKeyRevision,
+  scheduleRevisionProcessing
+} = require('../services/answerKeyRevisions');
+const { deleteUnreferencedImages } = require('../services/imageReferences');
+const { exportTestInclude } = require('../services/testExport');
+const { publishTestVersion } = require('../services/testVersions');
+const {
+  toEditableSections,
+  validateEditableSections,
+  collectSectionImages,
+  saveWorkingCopy
+} = require('../services/testEditing');
+const prisma = new PrismaClient();
+
+// Answer key fields a question edit may send
+const QUESTION_KEY_FIELDS = [
+  'correctOption',
+  'correctOptions',
+  'correctInteger',
+  'correctValue',
+  'answerRangeMin',
+  'answerRangeMax',
+  'tolerance',
+  'toleranceType',
+  'matrixRows',
+  'matrixColumns',
+  'matrixKey',
+  'status',
+  'alternateKeys'
+];
+
+// Load a test with its working sections, groups and questions
+const loadTest = async (id) => {
+  return await retryDatabaseOperation(async () => {
+    return await prisma.test.findUnique({
+      where: { id },
+      include: exportTestInclude
+    });
+  });
+};
+
+// Key fields present in the body
+const pickKeyInput = (body) => {
+  return Object.fromEntries(QUESTION_KEY_FIELDS.filter(field => field in body).map(field => [field, body[field]]));
+};
+
+// Resolve an image from a new upload, a kept URL or a cleared field; absent fields keep `current`
+const resolveImage = (req, field, current) => {
+  const file = req.files?.[field]?.[0];
+  if (file) return file.path;
+  if (!(field in req.body)) return current;
+  return toStoredImageUrl(req.body[field]);
+};
+
+// Turn a 1-based `position` into an insert index; appends when absent
+const parsePosition = (value, length) => {
+  if (value === undefined || value === null || value === '') return { index: length };
+
+  const position = Number(value);
+  if (!Number.isInteger(position) || position < 1 || position > length + 1) {
+    return { error: `Position must be between 1 and ${length + 1}` };
+  }
+  return { index: position - 1 };
+};
+
+// Map a group ID from the body to the section's group index
+const parseGroupId = (section, groupId) => {
+  if (groupId === undefined || groupId === null || groupId === '') return { groupIndex: null };
+
+  const groupIndex = section.groups.findIndex(group => group.id === groupId);
+  if (groupIndex === -1) {
+    return { error: 'Question group not found in this section' };
+  }
+  return { groupIndex };
+};
+
+// Find a question of the working copy by ID
+const findQuestion = (sections, questionId) => {
+  for (const [sectionIndex, section] of sections.entries()) {
+    const questionIndex = section.questions.findIndex(question => question.id === questionId);
+    if (questionIndex !== -1) return { sectionIndex, questionIndex };
+  }
+  return null;
+};
+
+/**
+ * Validate and save an edited working copy
+ * A working copy that attempts were taken on is detached and rebuilt, so its
+ * sections and questions get new IDs; `edited` reports where the edited
+ * section and question ended up
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} test - Test loaded with exportTestInclude
+ * @param {Object[]} sections - Editable sections after the edit
+ * @param {Object} [options] - `edited: { sectionIndex, questionIndex }` and the response `status`
+ */
+const saveTestContent = async (req, res, test, sections, { edited = null, status = 200 } = {}) => {
+  const { error, totalMarks } = await retryDatabaseOperation(async () => {
+    return await validateEditableSections(prisma, sections, test.markingScheme);
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const uploads = Object.values(req.files || {}).flat();
+
+  // Set when changed keys need completed attempts re-graded
+  let keyRevision = null;
+  let publishedVersion = null;
+  // Working sections the edit replaced, read under the test lock
+  let previousSections = [];
+
+  const updatedTest = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      keyRevision = null;
+      publishedVersion = null;
+
+      const { storedSections, keyChanges } = await saveWorkingCopy(tx, test.id, sections, {
+        totalMarks,
+        files: uploads
+      });
+      previousSections = storedSections;
+
+      // Record corrected keys so submitted attempts are re-graded
+      if (keyChanges.length > 0) {
+        const completedAttempts = await tx.testAttempt.count({
+          where: { testId: test.id, isCompleted: true }
+        });
+        if (completedAttempts > 0) {
+          keyRevision = await createAnswerKeyRevision(tx, {
+            testId: test.id,
+            changes: keyChanges,
+            reason: req.body.revisionReason?.trim() || 'Changed in the test editor',
+            createdById: req.user.id
+          });
+        }
+      }
+
+      // A live test always has its current content published
+      if (test.isLive) {
+        publishedVersion = await publishTestVersion(tx, test.id);
+      }
+
+      return await tx.test.findUnique({
+        where: { id: test.id },
+        include: exportTestInclude
+      });
+    });
+  });
+
+  // Clean up images the edit stopped using
+  const keptImages = collectSectionImages(updatedTest.sections);
+  const orphanedImages = [...collectSectionImages(previousSections)].filter(url => !keptImages.has(url));
+  if (orphanedImages.length > 0) {
+    try {
+      await deleteUnreferencedImages(prisma, orphanedImages);
+    } catch (cleanupError) {
+      console.error('Error cleaning up orphaned images:', cleanupError);
+    }
+  }
+
+  if (keyRevision) {
+    scheduleRevisionProcessing();
+  }
+
+  const editedSection = edited ? updatedTest.sections[edited.sectionIndex] : null;
+  res.status(status).json({
+    ...updatedTest,
+    ...(edited && {
+      edited: {
+        sectionId: editedSection?.id ?? null,
+        questionId: editedSection?.questions[edited.questionIndex]?.id ?? null
+      }
+    }),
+    answerKeyRevision: keyRevision,
+    publishedVersion
+  });
+};
+
+// Add a section to a test
+const createSection = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const name = req.body.name?.trim();
+  if (!name) {
+    return res.status(400).json({ error: 'Section name is required' });
+  }
+  if (!QUESTION_TYPES.includes(req.body.questionType)) {
+    return res.status(400).json({ error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` });
+  }
+
+  const { index, error: positionError } = parsePosition(req.body.position, test.sections.length);
+  if (positionError) {
+    return res.status(400).json({ error: positionError });
+  }
+
+  const sections = toEditableSections(test.sections);
+  sections.splice(index, 0, {
+    name,
+    questionType: req.body.questionType,
+    markingScheme: req.body.markingScheme ?? null,
+    maxAnswered: null,
+    groups: [],
+    questions: []
+  });
+
+  await saveTestContent(req, res, test, sections, { edited: { sectionIndex: index }, status: 201 });
+});
+
+// Change the name, type, marking scheme or answer limit of a section
+const updateSection = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const sections = toEditableSections(test.sections);
+  const sectionIndex = sections.findIndex(section => section.id === req.params.sectionId);
+  if (sectionIndex === -1) {
+    return res.status(404).json({ error: 'Section not found' });
+  }
+  const section = sections[sectionIndex];
+
+  if ('name' in req.body) {
+    const name = String(req.body.name ?? '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Section name is required' });
+    }
+    section.name = name;
+  }
+
+  if ('questionType' in req.body && req.body.questionType !== section.questionType) {
+    if (!QUESTION_TYPES.includes(req.body.questionType)) {
+      return res.status(400).json({ error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` });
+    }
+    // Answer keys are typed, so only an empty section can change type
+    if (section.questions.length > 0) {
+      return res.status(409).json({ error: 'Question type cannot change while the section has questions' });
+    }
+    section.questionType = req.body.questionType;
+  }
+
+  if ('markingScheme' in req.body) section.markingScheme = req.body.markingScheme;
+  if ('maxAnswered' in req.body) section.maxAnswered = req.body.maxAnswered;
+
+  await saveTestContent(req, res, test, sections, { edited: { sectionIndex } });
+});
+
+// Remove a section and its questions
+const deleteSection = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const sections = toEditableSections(test.sections);
+  const sectionIndex = sections.findIndex(section => section.id === req.params.sectionId);
+  if (sectionIndex === -1) {
+    return res.status(404).json({ error: 'Section not found' });
+  }
+
+  sections.splice(sectionIndex, 1);
+  await saveTestContent(req, res, test, sections);
+});
+
+// Add a question to a section
+const createQuestion = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const sections = toEditableSections(test.sections);
+  const sectionIndex = sections.findIndex(section => section.id === req.params.sectionId);
+  if (sectionIndex === -1) {
+    return res.status(404).json({ error: 'Section not found' });
+  }
+  const section = sections[sectionIndex];
+
+  const { index, error: positionError } = parsePosition(req.body.position, section.questions.length);
+  if (positionError) {
+    return res.status(400).json({ error: positionError });
+  }
+
+  const { groupIndex, error: groupError } = parseGroupId(section, req.body.groupId);
+  if (groupError) {
+    return res.status(400).json({ error: groupError });
+  }
+
+  section.questions.splice(index, 0, {
+    ...pickKeyInput(req.body),
+    questionImage: resolveImage(req, 'questionImage', null),
+    solutionImage: resolveImage(req, 'solutionImage', null),
+    markingScheme: req.body.markingScheme ?? null,
+    bankQuestionId: req.body.bankQuestionId || null,
+    groupIndex
+  });
+
+  await saveTestContent(req, res, test, sections, { edited: { sectionIndex, questionIndex: index }, status: 201 });
+});
+
+// Change the images, answer key, marking scheme, bank link or group of a question
+// Key fields that are left out keep their stored values
+const updateQuestion = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const sections = toEditableSections(test.sections);
+  const location = findQuestion(sections, req.params.questionId);
+  if (!location) {
+    return res.status(404).json({ error: 'Question not found' });
+  }
+  const section = sections[location.sectionIndex];
+  const question = section.questions[location.questionIndex];
+
+  if ('groupId' in req.body) {
+    const { groupIndex, error: groupError } = parseGroupId(section, req.body.groupId);
+    if (groupError) {
+      return res.status(400).json({ error: groupError });
+    }
+    question.groupIndex = groupIndex;
+  }
+
+  Object.assign(question, pickKeyInput(req.body));
+  question.questionImage = resolveImage(req, 'questionImage', question.questionImage);
+  question.solutionImage = resolveImage(req, 'solutionImage', question.solutionImage);
+  if ('markingScheme' in req.body) question.markingScheme = req.body.markingScheme;
+  if ('bankQuestionId' in req.body) question.bankQuestionId = req.body.bankQuestionId || null;
+
+  await saveTestContent(req, res, test, sections, { edited: location });
+});
+
+// Remove a question; the questions after it move up
+const deleteQuestion = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const sections = toEditableSections(test.sections);
+  const location = findQuestion(sections, req.params.questionId);
+  if (!location) {
+    return res.status(404).json({ error: 'Question not found' });
+  }
+
+  sections[location.sectionIndex].questions.splice(location.questionIndex, 1);
+  await saveTestContent(req, res, test, sections);
+});
+
+// Reorder sections and the questions within each section
+// Body: { sections: [{ id, questions: [questionId, ...] }, ...] } listing everything in its new order
+const reorderTestContent = asyncHandler(async (req, res) => {
+  const test = await loadTest(req.params.id);
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const order = req.body.sections;
+  if (!Array.isArray(order)) {
+    return res.status(400).json({ error: 'Provide the sections in their new order' });
+  }
+
+  const sections = toEditableSections(test.sections);
+  const sectionsById = new Map(sections.map(section => [section.id, section]));
+  const listedSectionIds = new Set(order.map(entry => entry?.id));
+  if (order.length !== sections.length || listedSectionIds.size !== sections.length ||
+      [...listedSectionIds].some(id => !sectionsById.has(id))) {
+    return res.status(400).json({ error: 'List every section of the test exactly once' });
+  }
+
+  const reorderedSections = [];
+  for (const entry of order) {
+    const section = sectionsById.get(entry.id);
+    const questionsById = new Map(section.questions.map(question => [question.id, question]));
+    const questionIds = Array.isArray(entry.questions) ? entry.questions : [];
+
+    if (questionIds.length !== section.questions.length || new Set(questionIds).size !== questionIds.length ||
+        questionIds.some(id => !questionsById.has(id))) {
+      return res.status(400).json({
+        error: `${section.name}: list every question of the section exactly once; questions cannot move between sections`
+      });
+    }
+
+    reorderedSections.push({ ...section, questions: questionIds.map(id => questionsById.get(id)) });
+  }
+
+  await saveTestContent(req, res, test, reorderedSections);
+});
+
+module.exports = {
+  createSection,
+  updateSection,
+  deleteSection,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  reorderTestContent
+};
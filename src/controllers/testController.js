@@ -1,77 +1,266 @@
 const { PrismaClient } = require('@prisma/client');
-const { 
-  deleteImageFromCloudinary, 
-  deleteMultipleImagesFromCloudinary,
-  isExistingCloudinaryUrl 
-} = require('../utils/cloudinaryUtils');
+const { toStoredImageUrl } = require('../storage');
 const { 
   handleDatabaseError, 
   retryDatabaseOperation,
   asyncHandler 
 } = require('../utils/errorHandler');
+const { candidateSectionsInclude, toCandidateTest } = require('../utils/testProjection');
+const { isAdmin } = require('../middleware/auth');
+const { applyMarkingSchemes, listMarkingSchemePresets } = require('../services/markingSchemes');
+const { toNullableJson } = require('../utils/prismaJson');
+const { prepareAnswerKeys, toAnswerKeyData, isSameAnswerKey } = require('../services/answerKeys');
+const {
+  describeKeyChange,
+  createAnswerKeyRevision,
+  scheduleRevisionProcessing
+} = require('../services/answerKeyRevisions');
+const { prepareQuestionGroups, replaceSectionGroups } = require('../services/questionGroups');
+const { prepareAnswerLimits } = require('../services/answerLimits');
+const { parseTestSchedule } = require('../services/testScheduler');
+const { deleteUnreferencedImages } = require('../services/imageReferences');
+const { attachBankQuestions } = require('../services/questionBank');
+const { parseBlueprint, assembleBlueprint } = require('../services/testBlueprints');
+const {
+  versionSummarySelect,
+  lockTest,
+  publishTestVersion,
+  isKeyOnlyChange,
+  prepareWorkingCopy,
+  updatePublishedTotal
+} = require('../services/testVersions');
 const prisma = new PrismaClient();
 
+// Resolve each group's stem image from a new upload or an existing URL
+const withGroupStemImages = (files, sectionIndex, groups) => {
+  return groups.map(group => {
+    const stemImageFile = files?.find(f =>
+      f.fieldname === `sections[${sectionIndex}].groups[${group.sourceIndex}].stemImage`
+    );
+
+    let stemImage = null;
+    if (stemImageFile) {
+      stemImage = stemImageFile.path; // New upload
+    } else if (group.stemImage) {
+      stemImage = toStoredImageUrl(group.stemImage); // Existing URL
+    }
+
+    return { ...group, stemImage };
+  });
+};
+
 // Create a new test
 const createTest = asyncHandler(async (req, res) => {
-  const { name, duration, sections, isDraft, enableGraphicalAnalysis } = req.body;
+  const { name, duration, sections, isDraft, enableGraphicalAnalysis, markingScheme, stopAfterFirstSubmission, shuffleQuestions, shuffleOptions } = req.body;
   const parsedSections = JSON.parse(sections);
+
+  const { error: scheduleError, schedule } = parseTestSchedule(req.body);
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  const { error: limitError } = prepareAnswerLimits(parsedSections);
+  if (limitError) {
+    return res.status(400).json({ error: limitError });
+  }
   
-  // Calculate total marks
-  let totalMarks = 0;
-  parsedSections.forEach(section => {
-    totalMarks += section.questions.length * 4; // 4 marks per question
+  // Questions taken from the bank use the bank's image and key
+  const { error: bankError } = await retryDatabaseOperation(async () => {
+    return await attachBankQuestions(prisma, parsedSections);
   });
+  if (bankError) {
+    return res.status(400).json({ error: bankError });
+  }
+
+  const { error: keyError } = prepareAnswerKeys(parsedSections);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  // Resolve marking schemes and calculate total marks
+  const { error: markingError, testScheme, totalMarks } = applyMarkingSchemes(parsedSections, markingScheme);
+  if (markingError) {
+    return res.status(400).json({ error: markingError });
+  }
+
+  const { error: groupError } = prepareQuestionGroups(parsedSections);
+  if (groupError) {
+    return res.status(400).json({ error: groupError });
+  }
   
+  const test = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      const createdTest = await tx.test.create({
+        data: {
+          name,
+          duration: parseInt(duration),
+          totalMarks,
+          markingScheme: toNullableJson(testScheme),
+          isDraft: isDraft === 'true' || isDraft === true,
+          enableGraphicalAnalysis: enableGraphicalAnalysis === 'true' || enableGraphicalAnalysis === true,
+          ...schedule,
+          stopAfterFirstSubmission: stopAfterFirstSubmission === 'true' || stopAfterFirstSubmission === true,
+          shuffleQuestions: shuffleQuestions === 'true' || shuffleQuestions === true,
+          shuffleOptions: shuffleOptions === 'true' || shuffleOptions === true,
+          sections: {
+            create: parsedSections.map((section, sectionIndex) => ({
+              name: section.name,
+              questionType: section.questionType,
+              isIntegerType: section.isIntegerType || false,
+              markingScheme: toNullableJson(section.markingScheme),
+              maxAnswered: section.maxAnswered,
+              order: sectionIndex,
+              questions: {
+                create: section.questions.map((question, questionIndex) => {
+                  // Handle image uploads - only upload new files, preserve existing URLs
+                  let questionImageUrl = null;
+                  let solutionImageUrl = null;
+                  
+                  // Check for question image
+                  const questionImageFile = req.files?.find(f => 
+                    f.fieldname === `sections[${sectionIndex}].questions[${questionIndex}].questionImage`
+                  );
+                  if (questionImageFile) {
+                    questionImageUrl = questionImageFile.path; // New upload
+                  } else if (question.questionImage) {
+                    questionImageUrl = toStoredImageUrl(question.questionImage); // Existing URL
+                  }
+                  
+                  // Check for solution image
+                  const solutionImageFile = req.files?.find(f => 
+                    f.fieldname === `sections[${sectionIndex}].questions[${questionIndex}].solutionImage`
+                  );
+                  if (solutionImageFile) {
+                    solutionImageUrl = solutionImageFile.path; // New upload
+                  } else if (question.solutionImage) {
+                    solutionImageUrl = toStoredImageUrl(question.solutionImage); // Existing URL
+                  }
+
+                  return {
+                    questionNumber: questionIndex + 1,
+                    questionImage: questionImageUrl,
+                    solutionImage: solutionImageUrl,
+                    ...toAnswerKeyData(question.answerKey),
+                    marks: question.marks,
+                    negativeMarks: question.negativeMarks,
+                    markingScheme: toNullableJson(question.markingScheme),
+                    bankQuestionId: question.bankQuestionId || null
+                  };
+                })
+              }
+            }))
+          }
+        },
+        include: {
+          sections: {
+            select: { id: true },
+            orderBy: { order: 'asc' }
+          }
+        }
+      });
+
+      // Attach paragraph groups once their questions exist
+      for (const [sectionIndex, section] of parsedSections.entries()) {
+        if (section.groups.length > 0) {
+          await replaceSectionGroups(
+            tx,
+            createdTest.sections[sectionIndex].id,
+            withGroupStemImages(req.files, sectionIndex, section.groups)
+          );
+        }
+      }
+
+      return await tx.test.findUnique({
+        where: { id: createdTest.id },
+        include: {
+          sections: {
+            include: {
+              groups: {
+                orderBy: { order: 'asc' }
+              },
+              questions: {
+                orderBy: { questionNumber: 'asc' }
+              }
+            },
+            orderBy: { order: 'asc' }
+          }
+        }
+      });
+    });
+  });
+
+  res.status(201).json(test);
+});
+
+// Generate a draft test from bank questions that match a blueprint
+const generateTest = asyncHandler(async (req, res) => {
+  const { error: blueprintError, blueprint } = parseBlueprint(req.body);
+  if (blueprintError) {
+    return res.status(400).json({ error: blueprintError });
+  }
+
+  const { sections, summary, unmetConstraints } = await retryDatabaseOperation(async () => {
+    return await assembleBlueprint(prisma, blueprint);
+  });
+
+  if (sections.length === 0) {
+    return res.status(422).json({
+      error: 'No bank questions match this blueprint',
+      summary,
+      unmetConstraints
+    });
+  }
+
+  const { error: limitError } = prepareAnswerLimits(sections);
+  if (limitError) {
+    return res.status(400).json({ error: limitError });
+  }
+
+  const { error: bankError } = await retryDatabaseOperation(async () => {
+    return await attachBankQuestions(prisma, sections);
+  });
+  if (bankError) {
+    return res.status(400).json({ error: bankError });
+  }
+
+  const { error: keyError } = prepareAnswerKeys(sections);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  const { error: markingError, testScheme, totalMarks } = applyMarkingSchemes(sections, blueprint.markingScheme);
+  if (markingError) {
+    return res.status(400).json({ error: markingError });
+  }
+
   const test = await retryDatabaseOperation(async () => {
     return await prisma.test.create({
       data: {
-        name,
-        duration: parseInt(duration),
+        name: blueprint.name,
+        duration: blueprint.duration,
         totalMarks,
-        isDraft: isDraft === 'true' || isDraft === true,
-        enableGraphicalAnalysis: enableGraphicalAnalysis === 'true' || enableGraphicalAnalysis === true,
+        markingScheme: toNullableJson(testScheme),
+        isDraft: true,
+        enableGraphicalAnalysis: blueprint.enableGraphicalAnalysis !== false && blueprint.enableGraphicalAnalysis !== 'false',
         sections: {
-          create: parsedSections.map((section, sectionIndex) => ({
+          create: sections.map((section, sectionIndex) => ({
             name: section.name,
             questionType: section.questionType,
-            isIntegerType: section.isIntegerType || false,
+            isIntegerType: section.isIntegerType,
+            markingScheme: toNullableJson(section.markingScheme),
+            maxAnswered: section.maxAnswered,
             order: sectionIndex,
             questions: {
-              create: section.questions.map((question, questionIndex) => {
-                // Handle image uploads - only upload new files, preserve existing URLs
-                let questionImageUrl = null;
-                let solutionImageUrl = null;
-                
-                // Check for question image
-                const questionImageFile = req.files?.find(f => 
-                  f.fieldname === `sections[${sectionIndex}].questions[${questionIndex}].questionImage`
-                );
-                if (questionImageFile) {
-                  questionImageUrl = questionImageFile.path; // New upload
-                } else if (question.questionImage && isExistingCloudinaryUrl(question.questionImage)) {
-                  questionImageUrl = question.questionImage; // Existing URL
-                }
-                
-                // Check for solution image
-                const solutionImageFile = req.files?.find(f => 
-                  f.fieldname === `sections[${sectionIndex}].questions[${questionIndex}].solutionImage`
-                );
-                if (solutionImageFile) {
-                  solutionImageUrl = solutionImageFile.path; // New upload
-                } else if (question.solutionImage && isExistingCloudinaryUrl(question.solutionImage)) {
-                  solutionImageUrl = question.solutionImage; // Existing URL
-                }
-
-                return {
-                  questionNumber: questionIndex + 1,
-                  questionImage: questionImageUrl,
-                  solutionImage: solutionImageUrl,
-                  correctOption: question.correctOption || null,
-                  correctInteger: question.correctInteger ? parseInt(question.correctInteger) : null,
-                  marks: 4,
-                  negativeMarks: -1
-                };
-              })
+              create: section.questions.map((question, questionIndex) => ({
+                questionNumber: questionIndex + 1,
+                questionImage: question.questionImage,
+                solutionImage: question.solutionImage,
+                ...toAnswerKeyData(question.answerKey),
+                marks: question.marks,
+                negativeMarks: question.negativeMarks,
+                markingScheme: toNullableJson(question.markingScheme),
+                bankQuestionId: question.bankQuestionId
+              }))
             }
           }))
         }
@@ -89,7 +278,13 @@ const createTest = asyncHandler(async (req, res) => {
     });
   });
 
-  res.status(201).json(test);
+  res.status(201).json({
+    ...test,
+    generation: {
+      summary,
+      unmetConstraints
+    }
+  });
 });
 
 // Get all tests
@@ -99,6 +294,7 @@ const getAllTests = asyncHandler(async (req, res) => {
       include: {
         sections: {
           include: {
+            groups: { orderBy: { order: 'asc' } },
             questions: {
               orderBy: { questionNumber: 'asc' }
             }
@@ -116,23 +312,14 @@ const getAllTests = asyncHandler(async (req, res) => {
   res.json(tests);
 });
 
-// Get live tests (for students)
+// Get live tests (for students, answer keys are never included)
 const getLiveTests = asyncHandler(async (req, res) => {
   const tests = await retryDatabaseOperation(async () => {
     return await prisma.test.findMany({
       where: {
         isLive: true
       },
-      include: {
-        sections: {
-          include: {
-            questions: {
-              orderBy: { questionNumber: 'asc' }
-            }
-          },
-          orderBy: { order: 'asc' }
-        }
-      },
+      include: candidateSectionsInclude,
       orderBy: {
         createdAt: 'desc'
       }
@@ -152,6 +339,7 @@ const getTestById = asyncHandler(async (req, res) => {
       include: {
         sections: {
           include: {
+            groups: { orderBy: { order: 'asc' } },
             questions: {
               orderBy: { questionNumber: 'asc' }
             }
@@ -168,56 +356,94 @@ const getTestById = asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'Test not found' });
   }
 
-  res.json(test);
+  // Candidates only see live tests, without answer keys or solutions
+  if (!isAdmin(req)) {
+    if (!test.isLive) {
+      return res.status(404).json({ error: 'Test not found' });
+    }
+    return res.json(toCandidateTest(test));
+  }
+
+  // Admins also see the published versions and how many attempts each has
+  const versions = await retryDatabaseOperation(async () => {
+    return await prisma.testVersion.findMany({
+      where: { testId: id },
+      select: {
+        ...versionSummarySelect,
+        _count: { select: { attempts: true } }
+      },
+      orderBy: { version: 'desc' }
+    });
+  });
+
+  res.json({ ...test, versions });
 });
 
 // Toggle test live status
 const toggleTestLive = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { isLive } = req.body;
+  const goLive = isLive === 'true' || isLive === true;
 
+  // A closed test would be taken offline again by the scheduler
+  if (goLive) {
+    const test = await retryDatabaseOperation(async () => {
+      return await prisma.test.findUnique({
+        where: { id },
+        select: { closesAt: true }
+      });
+    });
+
+    if (!test) {
+      return res.status(404).json({ error: 'Test not found' });
+    }
+
+    if (test.closesAt && test.closesAt <= new Date()) {
+      return res.status(400).json({
+        error: 'This test has closed. Move its closing time to reopen it',
+        code: 'TEST_CLOSED'
+      });
+    }
+  }
+
+  let publishedVersion = null;
   const updatedTest = await retryDatabaseOperation(async () => {
-    return await prisma.test.update({
-      where: { id },
-      data: {
-        isLive: isLive === 'true' || isLive === true
-      },
-      include: {
-        sections: {
-          include: {
-            questions: {
-              orderBy: { questionNumber: 'asc' }
-            }
-          },
-          orderBy: { order: 'asc' }
+    return await prisma.$transaction(async (tx) => {
+      const test = await tx.test.update({
+        where: { id },
+        data: {
+          isLive: goLive
+        },
+        include: {
+          sections: {
+            include: {
+              groups: { orderBy: { order: 'asc' } },
+              questions: {
+                orderBy: { questionNumber: 'asc' }
+              }
+            },
+            orderBy: { order: 'asc' }
+          }
         }
-      }
+      });
+
+      // Candidates take the version published when the test went live
+      publishedVersion = goLive ? await publishTestVersion(tx, id) : null;
+      return test;
     });
   });
 
-  res.json(updatedTest);
+  res.json({ ...updatedTest, publishedVersion });
 });
 
 // Update test
 const updateTest = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, duration, sections, isLive, isDraft, enableGraphicalAnalysis } = req.body;
+  const { name, duration, sections, isLive, isDraft, enableGraphicalAnalysis, markingScheme, stopAfterFirstSubmission, shuffleQuestions, shuffleOptions } = req.body;
   
-  // Get existing test with all data
+  // Sections are compared inside the transaction, under the test lock
   const existingTest = await retryDatabaseOperation(async () => {
-    return await prisma.test.findUnique({
-      where: { id },
-      include: {
-        sections: {
-          include: {
-            questions: {
-              orderBy: { questionNumber: 'asc' }
-            }
-          },
-          orderBy: { order: 'asc' }
-        }
-      }
-    });
+    return await prisma.test.findUnique({ where: { id } });
   });
 
   if (!existingTest) {
@@ -225,30 +451,101 @@ const updateTest = asyncHandler(async (req, res) => {
   }
 
   const parsedSections = JSON.parse(sections);
-  
-  // Calculate total marks
-  let totalMarks = 0;
+
+  // Existing images come back as the URLs clients were given; compare them in stored form
   parsedSections.forEach(section => {
-    totalMarks += section.questions.length * 4;
+    section.questions?.forEach(question => {
+      question.questionImage = toStoredImageUrl(question.questionImage);
+      question.solutionImage = toStoredImageUrl(question.solutionImage);
+    });
+    section.groups?.forEach(group => {
+      group.stemImage = toStoredImageUrl(group.stemImage);
+    });
   });
 
+  const { error: scheduleError, schedule } = parseTestSchedule(req.body);
+  if (scheduleError) {
+    return res.status(400).json({ error: scheduleError });
+  }
+
+  const { error: limitError } = prepareAnswerLimits(parsedSections);
+  if (limitError) {
+    return res.status(400).json({ error: limitError });
+  }
+  
+  // Questions taken from the bank use the bank's image and key
+  const { error: bankError } = await retryDatabaseOperation(async () => {
+    return await attachBankQuestions(prisma, parsedSections);
+  });
+  if (bankError) {
+    return res.status(400).json({ error: bankError });
+  }
+
+  const { error: keyError } = prepareAnswerKeys(parsedSections);
+  if (keyError) {
+    return res.status(400).json({ error: keyError });
+  }
+
+  // Resolve marking schemes and calculate total marks
+  const { error: markingError, testScheme, totalMarks } = applyMarkingSchemes(parsedSections, markingScheme);
+  if (markingError) {
+    return res.status(400).json({ error: markingError });
+  }
+
+  const { error: groupError } = prepareQuestionGroups(parsedSections);
+  if (groupError) {
+    return res.status(400).json({ error: groupError });
+  }
+
   // Collect image URLs for cleanup
   const existingImageUrls = new Set();
   const newImageUrls = new Set();
-  
-  existingTest.sections.forEach(section => {
-    section.questions.forEach(question => {
-      if (question.questionImage) existingImageUrls.add(question.questionImage);
-      if (question.solutionImage) existingImageUrls.add(question.solutionImage);
-    });
-  });
 
   // Determine final draft status
   const finalIsDraft = isDraft === 'true' || isDraft === true;
+  const finalIsLive = isLive === 'true';
+
+  // A new opening time lets the scheduler open the test again
+  const opensAtChanged = (schedule.opensAt?.getTime() ?? null) !== (existingTest.opensAt?.getTime() ?? null);
+
+  // Set when changed keys need completed attempts re-graded
+  let keyRevision = null;
+  let publishedVersion = null;
 
   // OPTIMIZED: Only update what actually changed
   const updatedTest = await retryDatabaseOperation(async () => {
     return await prisma.$transaction(async (tx) => {
+      const keyChanges = [];
+      keyRevision = null;
+      publishedVersion = null;
+
+      // Compare with the working copy as it is under the lock, not as it was before the transaction
+      await lockTest(tx, id);
+      const workingSections = await tx.section.findMany({
+        where: { testId: id },
+        include: {
+          groups: { orderBy: { order: 'asc' } },
+          questions: {
+            orderBy: { questionNumber: 'asc' }
+          }
+        },
+        orderBy: { order: 'asc' }
+      });
+
+      existingImageUrls.clear();
+      workingSections.forEach(section => {
+        section.questions.forEach(question => {
+          if (question.questionImage) existingImageUrls.add(question.questionImage);
+          if (question.solutionImage) existingImageUrls.add(question.solutionImage);
+        });
+        section.groups.forEach(group => {
+          if (group.stemImage) existingImageUrls.add(group.stemImage);
+        });
+      });
+
+      // Answer-key corrections keep the published version; anything else may need a new one
+      const keyOnly = isKeyOnlyChange(workingSections, parsedSections, req.files);
+
       // 1. Update basic test info (always fast)
       await tx.test.update({
         where: { id },
@@ -256,22 +553,26 @@ const updateTest = asyncHandler(async (req, res) => {
           name,
           duration: parseInt(duration),
           totalMarks,
-          isLive: isLive === 'true',
+          markingScheme: toNullableJson(testScheme),
+          isLive: finalIsLive,
           isDraft: finalIsDraft,
           enableGraphicalAnalysis: enableGraphicalAnalysis === 'true' || enableGraphicalAnalysis === true,
+          ...schedule,
+          ...(opensAtChanged && { openedAt: null }),
+          stopAfterFirstSubmission: stopAfterFirstSubmission === 'true' || stopAfterFirstSubmission === true,
+          shuffleQuestions: shuffleQuestions === 'true' || shuffleQuestions === true,
+          shuffleOptions: shuffleOptions === 'true' || shuffleOptions === true,
         }
       });
 
-      // 2. Get existing sections for comparison
-      const existingSections = await tx.section.findMany({
-        where: { testId: id },
-        include: { 
-          questions: {
-            orderBy: { questionNumber: 'asc' }
-          }
-        },
-        orderBy: { order: 'asc' }
-      });
+      // Sections that attempts were taken on are left as they are
+      const { detached } = await prepareWorkingCopy(tx, id, keyOnly);
+      if (keyOnly) {
+        await updatePublishedTotal(tx, id, totalMarks);
+      }
+
+      // 2. Existing sections for comparison (none once the working copy is detached)
+      const existingSections = detached ? [] : workingSections;
 
       // 3. Process each section incrementally
       for (let sectionIndex = 0; sectionIndex < parsedSections.length; sectionIndex++) {
@@ -283,18 +584,22 @@ const updateTest = asyncHandler(async (req, res) => {
         if (existingSection) {
           // Update existing section if changed
           if (existingSection.name !== newSection.name || 
-              existingSection.questionType !== newSection.questionType) {
-            currentSection = await tx.section.update({
-              where: { id: existingSection.id },
+              existingSection.questionType !== newSection.questionType ||
+              JSON.stringify(existingSection.markingScheme) !== JSON.stringify(newSection.markingScheme) ||
+              existingSection.maxAnswered !== newSection.maxAnswered) {
+            // Scoped to the test so a detached section can never be written
+            await tx.section.updateMany({
+              where: { id: existingSection.id, testId: id },
               data: {
                 name: newSection.name,
                 questionType: newSection.questionType,
+                markingScheme: toNullableJson(newSection.markingScheme),
+                maxAnswered: newSection.maxAnswered,
                 order: sectionIndex
               }
             });
-          } else {
-            currentSection = existingSection;
           }
+          currentSection = existingSection;
         } else {
           // Create new section
           currentSection = await tx.section.create({
@@ -302,6 +607,8 @@ const updateTest = asyncHandler(async (req, res) => {
               name: newSection.name,
               questionType: newSection.questionType,
               isIntegerType: newSection.isIntegerType || false,
+              markingScheme: toNullableJson(newSection.markingScheme),
+              maxAnswered: newSection.maxAnswered,
               order: sectionIndex,
               testId: id
             }
@@ -315,7 +622,7 @@ const updateTest = asyncHandler(async (req, res) => {
         if (newSection.questions.length < existingQuestions.length) {
           const questionsToDelete = existingQuestions.slice(newSection.questions.length);
           for (const question of questionsToDelete) {
-            await tx.question.delete({ where: { id: question.id } });
+            await tx.question.deleteMany({ where: { id: question.id, section: { testId: id } } });
           }
         }
 
@@ -334,8 +641,8 @@ const updateTest = asyncHandler(async (req, res) => {
           );
           if (questionImageFile) {
             questionImageUrl = questionImageFile.path;
-          } else if (newQuestion.questionImage && isExistingCloudinaryUrl(newQuestion.questionImage)) {
-            questionImageUrl = newQuestion.questionImage;
+          } else if (toStoredImageUrl(newQuestion.questionImage)) {
+            questionImageUrl = toStoredImageUrl(newQuestion.questionImage);
             newImageUrls.add(questionImageUrl);
           }
           
@@ -345,8 +652,8 @@ const updateTest = asyncHandler(async (req, res) => {
           );
           if (solutionImageFile) {
             solutionImageUrl = solutionImageFile.path;
-          } else if (newQuestion.solutionImage && isExistingCloudinaryUrl(newQuestion.solutionImage)) {
-            solutionImageUrl = newQuestion.solutionImage;
+          } else if (toStoredImageUrl(newQuestion.solutionImage)) {
+            solutionImageUrl = toStoredImageUrl(newQuestion.solutionImage);
             newImageUrls.add(solutionImageUrl);
           }
 
@@ -362,17 +669,22 @@ const updateTest = asyncHandler(async (req, res) => {
             questionNumber: questionIndex + 1, // CRITICAL: Always maintain correct order
             questionImage: questionImageUrl,
             solutionImage: solutionImageUrl,
-            correctOption: newQuestion.correctOption || null,
-            correctInteger: newQuestion.correctInteger ? parseInt(newQuestion.correctInteger) : null,
-            marks: 4,
-            negativeMarks: -1
+            ...toAnswerKeyData(newQuestion.answerKey),
+            marks: newQuestion.marks,
+            negativeMarks: newQuestion.negativeMarks,
+            markingScheme: toNullableJson(newQuestion.markingScheme),
+            bankQuestionId: newQuestion.bankQuestionId || null
           };
 
           if (existingQuestion) {
+            if (!isSameAnswerKey(existingQuestion, newQuestion.answerKey)) {
+              keyChanges.push(describeKeyChange(existingQuestion, newSection.name, newQuestion.answerKey));
+            }
+
             // ALWAYS update existing question to ensure correct order and data
             // Don't check for changes - just update to maintain consistency
-            await tx.question.update({
-              where: { id: existingQuestion.id },
+            await tx.question.updateMany({
+              where: { id: existingQuestion.id, section: { testId: id } },
               data: questionData
             });
           } else {
@@ -385,22 +697,49 @@ const updateTest = asyncHandler(async (req, res) => {
             });
           }
         }
+
+        const groups = withGroupStemImages(req.files, sectionIndex, newSection.groups);
+        groups.forEach(group => {
+          if (group.stemImage) newImageUrls.add(group.stemImage);
+        });
+        await replaceSectionGroups(tx, currentSection.id, groups);
       }
 
       // 5. Delete any extra sections
       if (parsedSections.length < existingSections.length) {
         const sectionsToDelete = existingSections.slice(parsedSections.length);
         for (const section of sectionsToDelete) {
-          await tx.section.delete({ where: { id: section.id } });
+          await tx.section.deleteMany({ where: { id: section.id, testId: id } });
+        }
+      }
+
+      // Record corrected keys so submitted attempts are re-graded
+      if (keyChanges.length > 0) {
+        const completedAttempts = await tx.testAttempt.count({
+          where: { testId: id, isCompleted: true }
+        });
+        if (completedAttempts > 0) {
+          keyRevision = await createAnswerKeyRevision(tx, {
+            testId: id,
+            changes: keyChanges,
+            reason: req.body.revisionReason?.trim() || 'Changed in the test editor',
+            createdById: req.user.id
+          });
         }
       }
 
+      // A live test always has its current content published
+      if (finalIsLive) {
+        publishedVersion = await publishTestVersion(tx, id);
+      }
+
       // 6. Return the complete updated test with proper ordering
       return await tx.test.findUnique({
         where: { id },
         include: {
           sections: {
             include: {
+              groups: { orderBy: { order: 'asc' } },
               questions: {
                 orderBy: { questionNumber: 'asc' } // CRITICAL: Order by question number
               }
@@ -416,13 +755,17 @@ const updateTest = asyncHandler(async (req, res) => {
   const orphanedImages = Array.from(existingImageUrls).filter(url => !newImageUrls.has(url));
   if (orphanedImages.length > 0) {
     try {
-      await deleteMultipleImagesFromCloudinary(orphanedImages);
+      await deleteUnreferencedImages(prisma, orphanedImages);
     } catch (cleanupError) {
       console.error('Error cleaning up orphaned images:', cleanupError);
     }
   }
 
-  res.json(updatedTest);
+  if (keyRevision) {
+    scheduleRevisionProcessing();
+  }
+
+  res.json({ ...updatedTest, answerKeyRevision: keyRevision, publishedVersion });
 });
 
 // Delete test
@@ -436,12 +779,21 @@ const deleteTest = asyncHandler(async (req, res) => {
       include: {
         sections: {
           include: {
+            groups: { orderBy: { order: 'asc' } },
             questions: {
               orderBy: { questionNumber: 'asc' }
             }
           },
           orderBy: { order: 'asc' }
         },
+        versions: {
+          include: {
+            sections: {
+              where: { testId: null },
+              include: { groups: true, questions: true }
+            }
+          }
+        },
         attempts: {
           include: {
             answers: true
@@ -465,9 +817,10 @@ const deleteTest = asyncHandler(async (req, res) => {
     imagesCount: 0
   };
 
-  // Collect all image URLs for deletion
+  // Collect all image URLs for deletion, including those only used by earlier versions
   const imageUrls = [];
-  testToDelete.sections.forEach(section => {
+  const detachedSections = testToDelete.versions.flatMap(version => version.sections);
+  [...testToDelete.sections, ...detachedSections].forEach(section => {
     section.questions.forEach(question => {
       if (question.questionImage) {
         imageUrls.push(question.questionImage);
@@ -478,6 +831,12 @@ const deleteTest = asyncHandler(async (req, res) => {
         stats.imagesCount++;
       }
     });
+    section.groups.forEach(group => {
+      if (group.stemImage) {
+        imageUrls.push(group.stemImage);
+        stats.imagesCount++;
+      }
+    });
   });
 
   // Delete test from database (cascade will delete all related data)
@@ -487,13 +846,14 @@ const deleteTest = asyncHandler(async (req, res) => {
     });
   });
 
-  // Delete all associated images from Cloudinary
-  let deleteResult = { success: 0, failed: 0 };
+  // Delete all associated images from storage
+  let deleteResult = { success: 0, failed: 0, kept: 0 };
   if (imageUrls.length > 0) {
     try {
-      deleteResult = await deleteMultipleImagesFromCloudinary(imageUrls);
+      // Images shared with the question bank or other tests are kept
+      deleteResult = await deleteUnreferencedImages(prisma, imageUrls);
     } catch (imageError) {
-      console.error('Error deleting images from Cloudinary:', imageError);
+      console.error('Error deleting images from storage:', imageError);
       // Don't fail the request if image deletion fails
     }
   }
@@ -509,14 +869,22 @@ const deleteTest = asyncHandler(async (req, res) => {
       images: {
         total: stats.imagesCount,
         deleted: deleteResult.success,
-        failed: deleteResult.failed
+        failed: deleteResult.failed,
+        kept: deleteResult.kept
       }
     }
   });
 });
 
+// List marking scheme presets
+const getMarkingSchemePresets = asyncHandler(async (req, res) => {
+  res.json(listMarkingSchemePresets());
+});
+
 module.exports = {
+  getMarkingSchemePresets,
   createTest,
+  generateTest,
   getAllTests,
   getLiveTests,
   getTestById,
@@ -0,0 +1,227 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  retryDatabaseOperation,
+  asyncHandler
+} = require('../utils/errorHandler');
+const { uploadImage, deleteImages } = require('../storage');
+const { toNullableJson } = require('../utils/prismaJson');
+const { prepareAnswerLimits } = require('../services/answerLimits');
+const { prepareAnswerKeys, toAnswerKeyData } = require('../services/answerKeys');
+const { applyMarkingSchemes } = require('../services/markingSchemes');
+const { prepareQuestionGroups, replaceSectionGroups } = require('../services/questionGroups');
+const { readImportPackage } = require('../services/testImport');
+const { exportTestInclude, buildExportPackage, cloneTest } = require('../services/testExport');
+const prisma = new PrismaClient();
+
+/**
+ * Upload the images of an import package
+ * Already uploaded images are removed again if one upload fails
+ * @param {Map<string, {entry: Object, imageType: string}>} images - Package images by path
+ * @returns {Promise<{urls?: Map<string, string>, failed?: Object}>} - URLs by package path, or the failed image
+ */
+const uploadPackageImages = async (images) => {
+  const urls = new Map();
+
+  for (const [imagePath, { entry, imageType }] of images) {
+    try {
+      urls.set(imagePath, await uploadImage(entry.getData(), imageType));
+    } catch (uploadError) {
+      console.error(`Error uploading ${imagePath}:`, uploadError);
+      await deleteImages([...urls.values()]);
+      return { failed: { location: imagePath, message: uploadError.message || 'Upload failed' } };
+    }
+  }
+
+  return { urls };
+};
+
+// Import a test from a ZIP package (an answer-key package or an export) as a draft
+const importTest = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'A ZIP package is required' });
+  }
+
+  // Check the whole package before uploading anything
+  const { test, images, errors, warnings } = readImportPackage(req.file.buffer, req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'The import package has errors', errors, warnings });
+  }
+
+  // Same checks as createTest; the report format matches the package errors
+  const sections = test.sections;
+  const rejectPackage = (message) => res.status(400).json({
+    error: 'The import package has errors',
+    errors: [{ location: 'test', message }],
+    warnings
+  });
+
+  const { error: limitError } = prepareAnswerLimits(sections);
+  if (limitError) return rejectPackage(limitError);
+
+  const { error: keyError } = prepareAnswerKeys(sections);
+  if (keyError) return rejectPackage(keyError);
+
+  const { error: markingError, testScheme, totalMarks } = applyMarkingSchemes(sections, test.markingScheme);
+  if (markingError) return rejectPackage(markingError);
+
+  const { error: groupError } = prepareQuestionGroups(sections);
+  if (groupError) return rejectPackage(groupError);
+
+  const { urls, failed } = await uploadPackageImages(images);
+  if (failed) {
+    return res.status(502).json({ error: 'Image upload failed; nothing was imported', errors: [failed], warnings });
+  }
+  const toUrl = (imagePath) => (imagePath ? urls.get(imagePath) : null);
+
+  let createdTest;
+  try {
+    createdTest = await retryDatabaseOperation(async () => {
+      return await prisma.$transaction(async (tx) => {
+        const created = await tx.test.create({
+          data: {
+            name: test.name,
+            duration: test.duration,
+            totalMarks,
+            markingScheme: toNullableJson(testScheme),
+            isDraft: true,
+            enableGraphicalAnalysis: test.enableGraphicalAnalysis !== false,
+            stopAfterFirstSubmission: test.stopAfterFirstSubmission,
+            shuffleQuestions: test.shuffleQuestions,
+            shuffleOptions: test.shuffleOptions,
+            sections: {
+              create: sections.map((section, sectionIndex) => ({
+                name: String(section.name).trim(),
+                questionType: section.questionType,
+                isIntegerType: section.questionType === 'INTEGER',
+                markingScheme: toNullableJson(section.markingScheme),
+                maxAnswered: section.maxAnswered,
+                order: sectionIndex,
+                questions: {
+                  create: section.questions.map((question, questionIndex) => ({
+                    questionNumber: questionIndex + 1,
+                    questionImage: toUrl(question.questionImage),
+                    solutionImage: toUrl(question.solutionImage),
+                    ...toAnswerKeyData(question.answerKey),
+                    marks: question.marks,
+                    negativeMarks: question.negativeMarks,
+                    markingScheme: toNullableJson(question.markingScheme)
+                  }))
+                }
+              }))
+            }
+          },
+          include: {
+            sections: {
+              select: { id: true },
+              orderBy: { order: 'asc' }
+            }
+          }
+        });
+
+        // Attach paragraph groups once their questions exist
+        for (const [sectionIndex, section] of sections.entries()) {
+          if (section.groups.length > 0) {
+            await replaceSectionGroups(
+              tx,
+              created.sections[sectionIndex].id,
+              section.groups.map(group => ({ ...group, stemImage: toUrl(group.stemImage) }))
+            );
+          }
+        }
+
+        return await tx.test.findUnique({
+          where: { id: created.id },
+          include: {
+            sections: {
+              include: {
+                groups: {
+                  orderBy: { order: 'asc' }
+                },
+                questions: {
+                  orderBy: { questionNumber: 'asc' }
+                }
+              },
+              orderBy: { order: 'asc' }
+            }
+          }
+        });
+      });
+    });
+  } catch (createError) {
+    await deleteImages([...urls.values()]);
+    throw createError;
+  }
+
+  res.status(201).json({
+    ...createdTest,
+    importReport: {
+      sections: sections.length,
+      questions: sections.reduce((sum, section) => sum + section.questions.length, 0),
+      imagesUploaded: urls.size,
+      warnings
+    }
+  });
+});
+
+// Download a test as a portable ZIP package
+const exportTest = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const test = await retryDatabaseOperation(async () => {
+    return await prisma.test.findUnique({
+      where: { id },
+      include: exportTestInclude
+    });
+  });
+
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  let archive;
+  try {
+    archive = await buildExportPackage(test);
+  } catch (exportError) {
+    console.error('Error exporting test:', exportError);
+    return res.status(502).json({ error: 'Could not download the test images for export' });
+  }
+
+  const fileName = test.name.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '') || 'test';
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${fileName}.zip"`,
+    'Content-Length': archive.length
+  });
+  res.send(archive);
+});
+
+// Duplicate a test as a new draft that shares the original's images
+const duplicateTest = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const test = await retryDatabaseOperation(async () => {
+    return await prisma.test.findUnique({
+      where: { id },
+      include: exportTestInclude
+    });
+  });
+
+  if (!test) {
+    return res.status(404).json({ error: 'Test not found' });
+  }
+
+  const name = req.body.name?.trim() || `${test.name} (Copy)`;
+  const clonedTest = await retryDatabaseOperation(async () => {
+    return await prisma.$transaction(async (tx) => {
+      return await cloneTest(tx, test, name);
+    });
+  });
+
+  res.status(201).json(clonedTest);
+});
+
+module.exports = {
+  importTest,
+  exportTest,
+  duplicateTest
+};
@@ -0,0 +1,117 @@
+const { JsonWebTokenError } = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/authUtils');
+const { getPrismaClient } = require('../utils/dbHealthCheck');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Read the bearer token from the request
+ * navigator.sendBeacon cannot set headers, so beacon payloads carry the token in the body
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Raw token, if present
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  if (req.body && typeof req.body.accessToken === 'string') {
+    return req.body.accessToken;
+  }
+
+  return null;
+}
+
+/**
+ * Middleware to require a valid access token
+ */
+function authenticate(req, res, next) {
+  const token = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    // Anything but a bad or expired token (such as a missing JWT_SECRET) is a server error
+    if (!(error instanceof JsonWebTokenError)) {
+      return next(error);
+    }
+
+    return res.status(401).json({
+      error: error.name === 'TokenExpiredError' ? 'Session expired, please log in again' : 'Invalid access token',
+      code: 'INVALID_TOKEN'
+    });
+  }
+}
+
+/**
+ * Middleware to restrict a route to the given roles
+ * @param {...string} roles - Allowed user roles
+ */
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action',
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether the current user is an admin
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True for admin users
+ */
+function isAdmin(req) {
+  return req.user?.role === 'ADMIN';
+}
+
+/**
+ * Middleware to ensure candidates only access their own attempts
+ * The attempt ID is read from `req.params.id` or `req.body.attemptId`
+ */
+const requireAttemptAccess = asyncHandler(async (req, res, next) => {
+  if (isAdmin(req)) {
+    return next();
+  }
+
+  const attemptId = req.params.id || req.body?.attemptId;
+  if (!attemptId) {
+    return res.status(400).json({ error: 'Attempt ID is required' });
+  }
+
+  const attempt = await getPrismaClient().testAttempt.findUnique({
+    where: { id: attemptId },
+    select: { candidate: { select: { userId: true } } }
+  });
+
+  if (!attempt) {
+    return res.status(404).json({ error: 'Test attempt not found' });
+  }
+
+  if (attempt.candidate.userId !== req.user.id) {
+    return res.status(403).json({
+      error: 'You do not have access to this attempt',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+});
+
+module.exports = {
+  authenticate,
+  authorize,
+  isAdmin,
+  requireAttemptAccess
+};
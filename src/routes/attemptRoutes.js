@@ -4,36 +4,48 @@ const {
   syncAnswers,
   submitTest,
   getAttemptById,
-  getUserAttempts,
+  getCandidateAttempts,
   updateWarningCount,
   requestResume,
   allowResume,
   getResumeRequests,
   updateQuestionTime,
   syncTimeData,
-  getTimeAnalytics
+  getTimeAnalytics,
+  getAttemptClock,
+  getAttemptScorecard
 } = require('../controllers/attemptController');
+const { authenticate, authorize, requireAttemptAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Every attempt route needs a logged in user
+router.use(authenticate);
+
 // Routes
-router.post('/start', startTestAttempt);
-router.post('/sync', syncAnswers);
-router.post('/submit', submitTest);
-router.post('/warning', updateWarningCount);
+router.post('/start', authorize('CANDIDATE'), startTestAttempt);
+router.post('/sync', requireAttemptAccess, syncAnswers);
+router.post('/submit', requireAttemptAccess, submitTest);
+router.post('/warning', requireAttemptAccess, updateWarningCount);
+
+// Server clock for the exam timer
+router.get('/:id/clock', requireAttemptAccess, getAttemptClock);
 
 // Time tracking routes
-router.put('/:id/question-time', updateQuestionTime);
-router.put('/:id/sync-times', syncTimeData);
-router.get('/:id/time-analytics', getTimeAnalytics);
+router.put('/:id/question-time', requireAttemptAccess, updateQuestionTime);
+router.put('/:id/sync-times', requireAttemptAccess, syncTimeData);
+router.get('/:id/time-analytics', requireAttemptAccess, getTimeAnalytics);
+
+// Printable scorecard and response sheet
+router.get('/:id/scorecard', requireAttemptAccess, getAttemptScorecard);
 
 // Resume permission routes (must be before /:id route)
-router.post('/request-resume', requestResume);
-router.post('/allow-resume', allowResume);
-router.get('/resume-requests', getResumeRequests);
+router.post('/request-resume', requireAttemptAccess, requestResume);
+router.post('/allow-resume', authorize('ADMIN'), allowResume);
+router.get('/resume-requests', authorize('ADMIN'), getResumeRequests);
 
 // Parameterized routes (must be last)
-router.get('/user/:candidateName', getUserAttempts);
-router.get('/:id', getAttemptById);
+router.get('/candidate/:candidateId', getCandidateAttempts);
+router.get('/:id', requireAttemptAccess, getAttemptById);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  register,
+  login,
+  getCurrentUser,
+  createUser
+} = require('../controllers/authController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Stricter rate limiting for credential endpoints
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    error: 'Too many login attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Routes
+router.post('/register', credentialLimiter, register);
+router.post('/login', credentialLimiter, login);
+router.get('/me', authenticate, getCurrentUser);
+router.post('/users', authenticate, authorize('ADMIN'), createUser);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const multer = require('multer');
+const { storage } = require('../storage');
+const {
+  createBankQuestion,
+  getBankQuestions,
+  getBankQuestionById,
+  updateBankQuestion,
+  deleteBankQuestion,
+  addTestQuestionToBank
+} = require('../controllers/bankQuestionController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Configure multer with the configured image storage for question and solution images
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit per question
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|gif/;
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed (JPEG, JPG, PNG, GIF)'));
+    }
+  }
+});
+
+const questionImages = upload.fields([
+  { name: 'questionImage', maxCount: 1 },
+  { name: 'solutionImage', maxCount: 1 }
+]);
+
+router.use(authenticate, authorize('ADMIN'));
+
+router.post('/', questionImages, createBankQuestion);
+router.get('/', getBankQuestions);
+router.post('/from-question/:questionId', addTestQuestionToBank);
+router.get('/:id', getBankQuestionById);
+router.put('/:id', questionImages, updateBankQuestion);
+router.delete('/:id', deleteBankQuestion);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const multer = require('multer');
+const { storage } = require('../storage');
+const {
+  getMyProfile,
+  updateMyProfile,
+  getCandidates,
+  getCandidateById,
+  linkCandidateToUser
+} = require('../controllers/candidateController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Configure multer with the configured image storage for candidate photos
+const photoUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit for profile photos
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png/;
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed (JPEG, JPG, PNG)'));
+    }
+  }
+});
+
+router.use(authenticate);
+
+// Candidate self-service routes (must be before /:id route)
+router.get('/me', authorize('CANDIDATE'), getMyProfile);
+router.put('/me', authorize('CANDIDATE'), photoUpload.single('photo'), updateMyProfile);
+
+// Admin routes
+router.get('/', authorize('ADMIN'), getCandidates);
+router.get('/:id', authorize('ADMIN'), getCandidateById);
+router.patch('/:id/link', authorize('ADMIN'), linkCandidateToUser);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  createExam,
+  getExams,
+  getExamById,
+  updateExam,
+  deleteExam,
+  addShift,
+  removeShift,
+  getExamResults
+} = require('../controllers/examController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(authenticate, authorize('ADMIN'));
+
+router.post('/', createExam);
+router.get('/', getExams);
+router.get('/:id', getExamById);
+router.put('/:id', updateExam);
+router.delete('/:id', deleteExam);
+router.post('/:id/shifts', addShift);
+router.delete('/:id/shifts/:testId', removeShift);
+router.get('/:id/results', getExamResults);
+
+module.exports = router;
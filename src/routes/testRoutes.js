@@ -1,19 +1,43 @@
 const express = require('express');
 const multer = require('multer');
-const { storage } = require('../config/cloudinary');
+const { storage } = require('../storage');
 const { 
   createTest, 
+  generateTest,
   getAllTests, 
   getTestById, 
   updateTest, 
   toggleTestLive,
   deleteTest,
-  getLiveTests 
+  getLiveTests,
+  getMarkingSchemePresets
 } = require('../controllers/testController');
+const {
+  reviseAnswerKeys,
+  getAnswerKeyRevisions,
+  getAnswerKeyRevisionById,
+  retryAnswerKeyRevision
+} = require('../controllers/answerKeyRevisionController');
+const { getTestResults, exportTestResults } = require('../controllers/resultController');
+const {
+  importTest,
+  exportTest,
+  duplicateTest
+} = require('../controllers/testPackageController');
+const {
+  createSection,
+  updateSection,
+  deleteSection,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion,
+  reorderTestContent
+} = require('../controllers/testContentController');
+const { authenticate, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Configure multer with Cloudinary storage
+// Configure multer with the configured image storage
 const upload = multer({ 
   storage: storage,
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit for large test uploads
@@ -29,13 +53,51 @@ const upload = multer({
   }
 });
 
+// Import packages are read in memory and their images uploaded after validation
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 }, // 200MB limit per package
+  fileFilter: (req, file, cb) => {
+    if (/zip/.test(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip')) {
+      return cb(null, true);
+    }
+    cb(new Error('Only ZIP packages are allowed'));
+  }
+});
+
+// Question and solution images for single-question edits
+const questionImages = upload.fields([
+  { name: 'questionImage', maxCount: 1 },
+  { name: 'solutionImage', maxCount: 1 }
+]);
+
+const adminOnly = [authenticate, authorize('ADMIN')];
+
 // Routes
-router.post('/', upload.any(), createTest);
-router.get('/', getAllTests);
-router.get('/live', getLiveTests);
-router.get('/:id', getTestById);
-router.put('/:id', upload.any(), updateTest);
-router.patch('/:id/toggle-live', toggleTestLive);
-router.delete('/:id', deleteTest);
+router.post('/', adminOnly, upload.any(), createTest);
+router.post('/generate', adminOnly, generateTest);
+router.post('/import', adminOnly, packageUpload.single('package'), importTest);
+router.get('/', adminOnly, getAllTests);
+router.get('/live', authenticate, getLiveTests);
+router.get('/marking-schemes', adminOnly, getMarkingSchemePresets);
+router.get('/:id', authenticate, getTestById);
+router.put('/:id', adminOnly, upload.any(), updateTest);
+router.patch('/:id/toggle-live', adminOnly, toggleTestLive);
+router.delete('/:id', adminOnly, deleteTest);
+router.post('/:id/answer-key-revisions', adminOnly, reviseAnswerKeys);
+router.get('/:id/answer-key-revisions', adminOnly, getAnswerKeyRevisions);
+router.get('/:id/answer-key-revisions/:revisionId', adminOnly, getAnswerKeyRevisionById);
+router.post('/:id/answer-key-revisions/:revisionId/retry', adminOnly, retryAnswerKeyRevision);
+router.get('/:id/results', adminOnly, getTestResults);
+router.get('/:id/results/export', adminOnly, exportTestResults);
+router.get('/:id/export', adminOnly, exportTest);
+router.post('/:id/clone', adminOnly, duplicateTest);
+router.post('/:id/sections', adminOnly, createSection);
+router.patch('/:id/sections/:sectionId', adminOnly, updateSection);
+router.delete('/:id/sections/:sectionId', adminOnly, deleteSection);
+router.post('/:id/sections/:sectionId/questions', adminOnly, questionImages, createQuestion);
+router.patch('/:id/questions/:questionId', adminOnly, questionImages, updateQuestion);
+router.delete('/:id/questions/:questionId', adminOnly, deleteQuestion);
+router.put('/:id/order', adminOnly, reorderTestContent);
 
 module.exports = router;
\ No newline at end of file
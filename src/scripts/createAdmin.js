@@ -0,0 +1,41 @@
+require('dotenv').config();
+
+const { hashPassword } = require('../utils/authUtils');
+const { getPrismaClient, disconnectDatabase } = require('../utils/dbHealthCheck');
+
+/**
+ * Create or promote an admin account
+ * Usage: npm run admin:create -- <email> <password> [name]
+ */
+async function main() {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run admin:create -- <email> <password> [name]');
+    process.exit(1);
+  }
+
+  const prisma = getPrismaClient();
+  const normalizedEmail = email.trim().toLowerCase();
+  const passwordHash = await hashPassword(password);
+
+  const admin = await prisma.user.upsert({
+    where: { email: normalizedEmail },
+    update: { passwordHash, role: 'ADMIN' },
+    create: {
+      email: normalizedEmail,
+      passwordHash,
+      name,
+      role: 'ADMIN'
+    }
+  });
+
+  console.log(`✅ Admin account ready: ${admin.email}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Failed to create admin account:', error);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDatabase);
@@ -6,9 +6,17 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
+const authRoutes = require('./routes/authRoutes');
+const candidateRoutes = require('./routes/candidateRoutes');
 const testRoutes = require('./routes/testRoutes');
 const attemptRoutes = require('./routes/attemptRoutes');
+const examRoutes = require('./routes/examRoutes');
+const bankQuestionRoutes = require('./routes/bankQuestionRoutes');
 const { startHealthMonitoring, disconnectDatabase, healthCheckMiddleware, checkDatabaseHealth } = require('./utils/dbHealthCheck');
+const { startAttemptSweeper } = require('./services/attemptSweeper');
+const { startRevisionWorker } = require('./services/answerKeyRevisions');
+const { startTestScheduler } = require('./services/testScheduler');
+const { UPLOADS_ROUTE, serveLocalImages, publicImageUrls, storageDriver } = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -57,14 +65,20 @@ app.use((req, res, next) => {
   next();
 });
 
-// Note: Images are now served from Cloudinary, no local file serving needed
+// Images saved by the local storage driver
+app.use(UPLOADS_ROUTE, serveLocalImages);
+app.use(publicImageUrls);
 
 // Database health check middleware (before routes)
 app.use(healthCheckMiddleware);
 
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/candidates', candidateRoutes);
 app.use('/api/tests', testRoutes);
 app.use('/api/attempts', attemptRoutes);
+app.use('/api/exams', examRoutes);
+app.use('/api/bank-questions', bankQuestionRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -111,9 +125,19 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`🖼️  Image storage: ${storageDriver}`);
   
   // Start database health monitoring
   startHealthMonitoring();
+
+  // Auto-submit attempts whose time has run out
+  startAttemptSweeper();
+
+  // Finish answer key re-grades interrupted by a restart
+  startRevisionWorker();
+
+  // Open and close scheduled tests
+  startTestScheduler();
 });
 
 // Graceful shutdown handling
@@ -0,0 +1,227 @@
+const { getPrismaClient } = require('../utils/dbHealthCheck');
+const { gradeAttemptInTransaction } = require('./grading');
+const { toAnswerKeySnapshot } = require('./answerKeys');
+
+/**
+ * Answer-key revisions
+ *
+ * Changing a key after candidates have submitted records a revision holding
+ * the old and new keys. Every completed attempt of the test is then re-graded
+ * in the background from the stored answers, and each attempt's score change
+ * is saved against the revision. A failed run is retried by later worker
+ * passes until it has failed MAX_REVISION_FAILURES times; after that an admin
+ * can requeue it.
+ */
+
+const BATCH_SIZE = 25;
+const MAX_REVISION_FAILURES = 3;
+const TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 30000 };
+let isProcessing = false;
+
+/**
+ * Describe a changed key for the revision log
+ * @param {Object} question - Stored question with its current key
+ * @param {string} sectionName - Name of the question's section
+ * @param {Object} newKey - Key that replaces it
+ * @returns {Object} - Change entry
+ */
+function describeKeyChange(question, sectionName, newKey) {
+  return {
+    questionId: question.id,
+    questionNumber: question.questionNumber,
+    sectionName,
+    previousKey: toAnswerKeySnapshot(question),
+    newKey: toAnswerKeySnapshot(newKey)
+  };
+}
+
+/**
+ * Record a revision for changed answer keys
+ * Call inside the transaction that saves the new keys, then schedule processing
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} details - Revision details
+ * @param {string} details.testId - Revised test
+ * @param {Object[]} details.changes - Entries from describeKeyChange
+ * @param {string} [details.reason] - Why the keys changed
+ * @param {string} [details.createdById] - Admin making the change
+ * @returns {Promise<Object>} - Created revision
+ */
+async function createAnswerKeyRevision(tx, { testId, changes, reason = null, createdById = null }) {
+  const attemptsTotal = await tx.testAttempt.count({
+    where: { testId, isCompleted: true }
+  });
+
+  return await tx.answerKeyRevision.create({
+    data: {
+      testId,
+      reason,
+      changes,
+      attemptsTotal,
+      createdById
+    }
+  });
+}
+
+/**
+ * Re-grade one completed attempt and record its score change
+ * @param {Object} prisma - Prisma client
+ * @param {string} revisionId - Revision being applied
+ * @param {string} attemptId - Attempt to re-grade
+ * @returns {Promise<void>}
+ */
+async function regradeAttempt(prisma, revisionId, attemptId) {
+  await prisma.$transaction(async (tx) => {
+    const attempt = await tx.testAttempt.findUnique({
+      where: { id: attemptId },
+      select: { totalMarks: true }
+    });
+
+    const newMarks = await gradeAttemptInTransaction(tx, attemptId);
+
+    await tx.answerKeyRevisionResult.create({
+      data: {
+        revisionId,
+        attemptId,
+        previousMarks: attempt.totalMarks,
+        newMarks
+      }
+    });
+
+    await tx.answerKeyRevision.update({
+      where: { id: revisionId },
+      data: { attemptsRegraded: { increment: 1 } }
+    });
+  }, TRANSACTION_OPTIONS);
+}
+
+/**
+ * Re-grade every completed attempt of a revision's test
+ * Attempts that already have a result are skipped, so an interrupted run resumes
+ * @param {Object} prisma - Prisma client
+ * @param {Object} revision - Pending or interrupted revision
+ * @returns {Promise<boolean>} - True if the revision completed
+ */
+async function runRevision(prisma, revision) {
+  await prisma.answerKeyRevision.update({
+    where: { id: revision.id },
+    data: {
+      status: 'RUNNING',
+      startedAt: revision.startedAt || new Date(),
+      error: null
+    }
+  });
+
+  try {
+    for (;;) {
+      const attempts = await prisma.testAttempt.findMany({
+        where: {
+          testId: revision.testId,
+          isCompleted: true,
+          revisionResults: { none: { revisionId: revision.id } }
+        },
+        select: { id: true },
+        orderBy: { endTime: 'asc' },
+        take: BATCH_SIZE
+      });
+
+      if (attempts.length === 0) break;
+
+      for (const { id } of attempts) {
+        await regradeAttempt(prisma, revision.id, id);
+      }
+    }
+
+    // Attempts submitted while the run was in progress are included in the total
+    const regraded = await prisma.answerKeyRevisionResult.count({
+      where: { revisionId: revision.id }
+    });
+
+    await prisma.answerKeyRevision.update({
+      where: { id: revision.id },
+      data: {
+        status: 'COMPLETED',
+        attemptsTotal: regraded,
+        attemptsRegraded: regraded,
+        completedAt: new Date()
+      }
+    });
+
+    console.log(`🔁 Re-graded ${regraded} attempt(s) for answer key revision ${revision.id}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Answer key revision ${revision.id} failed:`, error.message);
+
+    await prisma.answerKeyRevision.update({
+      where: { id: revision.id },
+      data: {
+        status: 'FAILED',
+        error: error.message,
+        failureCount: { increment: 1 }
+      }
+    });
+    return false;
+  }
+}
+
+/**
+ * Apply every pending, interrupted or retryable failed revision, oldest first
+ * Each revision is run at most once per pass, so a failing one waits for the next pass
+ * @returns {Promise<number>} - Number of revisions completed
+ */
+async function processPendingRevisions() {
+  if (isProcessing) return 0;
+  isProcessing = true;
+
+  const prisma = getPrismaClient();
+  let completed = 0;
+  const runThisPass = [];
+
+  try {
+    for (;;) {
+      const revision = await prisma.answerKeyRevision.findFirst({
+        where: {
+          id: { notIn: runThisPass },
+          OR: [
+            { status: { in: ['PENDING', 'RUNNING'] } },
+            { status: 'FAILED', failureCount: { lt: MAX_REVISION_FAILURES } }
+          ]
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      if (!revision) break;
+      runThisPass.push(revision.id);
+      if (await runRevision(prisma, revision)) completed++;
+    }
+  } catch (error) {
+    console.error('❌ Answer key revision processing failed:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+
+  return completed;
+}
+
+/**
+ * Start re-grading soon without holding up the current request
+ */
+function scheduleRevisionProcessing() {
+  setImmediate(processPendingRevisions);
+}
+
+/**
+ * Periodically pick up revisions left over from a restart
+ */
+function startRevisionWorker(intervalMs = 60000) {
+  console.log('🔁 Starting answer key revision worker...');
+  processPendingRevisions();
+  setInterval(processPendingRevisions, intervalMs);
+}
+
+module.exports = {
+  describeKeyChange,
+  createAnswerKeyRevision,
+  processPendingRevisions,
+  scheduleRevisionProcessing,
+  startRevisionWorker
+};
@@ -0,0 +1,290 @@
+const { parseIntegerAnswer, parseOptionList, parseDecimal, parseMatrixResponse } = require('./grading');
+const { toNullableJson } = require('../utils/prismaJson');
+
+/**
+ * Parsing and validation of answer keys from test payloads
+ */
+
+const TOLERANCE_TYPES = ['ABSOLUTE', 'RELATIVE'];
+
+const QUESTION_STATUSES = ['ACTIVE', 'BONUS', 'DROPPED', 'MULTIPLE_KEYS'];
+
+const DECIMAL_KEY_FIELDS = ['correctValue', 'answerRangeMin', 'answerRangeMax', 'tolerance'];
+
+/**
+ * Build the numerical-value key of a question
+ * A key is either an exact value (optionally with a tolerance) or an accepted range
+ * @param {Object} question - Question from the request
+ * @returns {{key?: Object, error?: string}} - Key fields or validation error
+ */
+function buildNumericalKey(question) {
+  const correctValue = parseDecimal(question.correctValue);
+  const answerRangeMin = parseDecimal(question.answerRangeMin);
+  const answerRangeMax = parseDecimal(question.answerRangeMax);
+  const tolerance = parseDecimal(question.tolerance);
+
+  if ([correctValue, answerRangeMin, answerRangeMax, tolerance].includes(undefined)) {
+    return { error: 'Numerical keys must be valid numbers' };
+  }
+
+  const hasRange = answerRangeMin !== null || answerRangeMax !== null;
+  if (hasRange && (answerRangeMin === null || answerRangeMax === null)) {
+    return { error: 'An accepted range needs both a minimum and a maximum' };
+  }
+  if (hasRange && Number(answerRangeMin) > Number(answerRangeMax)) {
+    return { error: 'Range minimum cannot be greater than the maximum' };
+  }
+  if (!hasRange && correctValue === null) {
+    return { error: 'A numerical question needs a correct value or an accepted range' };
+  }
+  if (tolerance !== null && Number(tolerance) < 0) {
+    return { error: 'Tolerance cannot be negative' };
+  }
+
+  const toleranceType = tolerance !== null ? (question.toleranceType || 'ABSOLUTE') : null;
+  if (toleranceType && !TOLERANCE_TYPES.includes(toleranceType)) {
+    return { error: `Tolerance type must be one of: ${TOLERANCE_TYPES.join(', ')}` };
+  }
+
+  return {
+    key: {
+      correctValue,
+      answerRangeMin,
+      answerRangeMax,
+      tolerance,
+      toleranceType
+    }
+  };
+}
+
+/**
+ * Build the matrix-match key of a question
+ * Rows and columns default to the labels used in the key
+ * @param {Object} question - Question with `matrixKey` and optional `matrixRows` / `matrixColumns`
+ * @returns {{key?: Object, error?: string}} - Key fields or validation error
+ */
+function buildMatrixKey(question) {
+  const matrixKey = parseMatrixResponse(question.matrixKey);
+  if (!matrixKey) {
+    return { error: 'A matrix-match question needs a key mapping each row to its columns' };
+  }
+
+  const keyRows = Object.keys(matrixKey).sort();
+  const keyColumns = [...new Set(Object.values(matrixKey).flat())].sort();
+  const matrixRows = parseOptionList(question.matrixRows);
+  const matrixColumns = parseOptionList(question.matrixColumns);
+  const rows = matrixRows.length > 0 ? matrixRows : keyRows;
+  const columns = matrixColumns.length > 0 ? matrixColumns : keyColumns;
+
+  if (rows.some(row => !matrixKey[row]) || keyRows.some(row => !rows.includes(row))) {
+    return { error: 'Every matrix row needs exactly one entry in the key' };
+  }
+  if (keyColumns.some(column => !columns.includes(column))) {
+    return { error: 'Matrix key uses a column that is not listed' };
+  }
+
+  return {
+    key: {
+      matrixRows: rows,
+      matrixColumns: columns,
+      matrixKey
+    }
+  };
+}
+
+/**
+ * Build the key fields of a question (or of one alternate key) for its section type
+ * @param {Object} question - Question or alternate key from the request
+ * @param {string} questionType - Section question type
+ * @returns {{key?: Object, error?: string}} - Key fields or validation error
+ */
+function buildKeyFields(question, questionType) {
+  const key = {
+    correctOption: question.correctOption || null,
+    correctOptions: parseOptionList(question.correctOptions),
+    correctInteger: parseIntegerAnswer(question.correctInteger),
+    correctValue: null,
+    answerRangeMin: null,
+    answerRangeMax: null,
+    tolerance: null,
+    toleranceType: null,
+    matrixRows: [],
+    matrixColumns: [],
+    matrixKey: null
+  };
+
+  if (questionType === 'NUMERICAL') {
+    const { key: numericalKey, error } = buildNumericalKey(question);
+    if (error) return { error };
+    Object.assign(key, numericalKey);
+  }
+
+  if (questionType === 'MATRIX_MATCH') {
+    const { key: matrixKey, error } = buildMatrixKey(question);
+    if (error) return { error };
+    Object.assign(key, matrixKey);
+  }
+
+  return { key };
+}
+
+/**
+ * Parse alternate keys from a request
+ * @param {any} value - Array of keys or a JSON string
+ * @returns {Object[]|null} - Alternate keys, or null when not a list
+ */
+function parseAlternateKeys(value) {
+  if (value === null || value === undefined || value === '') return [];
+
+  let alternateKeys = value;
+  if (typeof alternateKeys === 'string') {
+    try {
+      alternateKeys = JSON.parse(alternateKeys);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return Array.isArray(alternateKeys) ? alternateKeys : null;
+}
+
+/**
+ * Build the answer key of a question, including its status
+ * BONUS questions award full marks to everyone, DROPPED questions score
+ * nothing and leave the total, and MULTIPLE_KEYS questions also accept each
+ * of their `alternateKeys`
+ * @param {Object} question - Question from the request
+ * @param {string} questionType - Section question type
+ * @returns {{key?: Object, error?: string}} - Key fields or validation error
+ */
+function buildAnswerKey(question, questionType) {
+  const status = String(question.status || 'ACTIVE').toUpperCase();
+  if (!QUESTION_STATUSES.includes(status)) {
+    return { error: `Question status must be one of: ${QUESTION_STATUSES.join(', ')}` };
+  }
+
+  const { key, error } = buildKeyFields(question, questionType);
+  if (error) return { error };
+
+  key.status = status;
+  key.alternateKeys = null;
+
+  if (status === 'MULTIPLE_KEYS') {
+    const alternateInput = parseAlternateKeys(question.alternateKeys);
+    if (!alternateInput || alternateInput.length === 0) {
+      return { error: 'A question with multiple keys needs at least one alternate key' };
+    }
+
+    key.alternateKeys = [];
+    for (const [alternateIndex, alternate] of alternateInput.entries()) {
+      const { key: alternateKey, error: alternateError } = buildKeyFields(alternate || {}, questionType);
+      if (alternateError) {
+        return { error: `Alternate key ${alternateIndex + 1}: ${alternateError}` };
+      }
+      key.alternateKeys.push(alternateKey);
+    }
+  }
+
+  return { key };
+}
+
+/**
+ * Validate and build answer keys for every question of a test payload
+ * The key fields are stored on each parsed question as `answerKey`, and the
+ * normalized `status` is written back so totals can skip dropped questions
+ * @param {Object[]} sections - Parsed sections from the request
+ * @returns {{error?: string}} - Validation error, if any
+ */
+function prepareAnswerKeys(sections) {
+  for (const [sectionIndex, section] of sections.entries()) {
+    for (const [questionIndex, question] of section.questions.entries()) {
+      const { key, error } = buildAnswerKey(question, section.questionType);
+      if (error) {
+        return { error: `Section ${sectionIndex + 1}, question ${questionIndex + 1}: ${error}` };
+      }
+      question.answerKey = key;
+      question.status = key.status;
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Convert an answer key into Prisma question data
+ * @param {Object} key - Key from buildAnswerKey
+ * @returns {Object} - Question fields
+ */
+function toAnswerKeyData(key) {
+  return {
+    ...key,
+    matrixKey: toNullableJson(key.matrixKey),
+    alternateKeys: toNullableJson(key.alternateKeys)
+  };
+}
+
+/**
+ * Take a comparable copy of a single set of key fields
+ * @param {Object} source - Question record, answer key or alternate key
+ * @returns {Object} - Key fields snapshot
+ */
+function toKeyFieldsSnapshot(source) {
+  const snapshot = {
+    correctOption: source.correctOption || null,
+    correctOptions: parseOptionList(source.correctOptions),
+    correctInteger: parseIntegerAnswer(source.correctInteger),
+    toleranceType: source.toleranceType || null,
+    matrixRows: parseOptionList(source.matrixRows),
+    matrixColumns: parseOptionList(source.matrixColumns),
+    matrixKey: null
+  };
+
+  const matrixKey = parseMatrixResponse(source.matrixKey);
+  if (matrixKey) {
+    snapshot.matrixKey = Object.fromEntries(Object.keys(matrixKey).sort().map(row => [row, matrixKey[row]]));
+  }
+
+  DECIMAL_KEY_FIELDS.forEach(field => {
+    const value = source[field];
+    snapshot[field] = value === null || value === undefined ? null : parseDecimal(value.toString());
+  });
+
+  return snapshot;
+}
+
+/**
+ * Take a comparable, JSON-safe copy of a question's answer key
+ * Works on stored questions (Prisma Decimals) and on keys from buildAnswerKey
+ * @param {Object} source - Question record or answer key
+ * @returns {Object} - Answer key snapshot
+ */
+function toAnswerKeySnapshot(source) {
+  const status = source.status || 'ACTIVE';
+  const alternateKeys = status === 'MULTIPLE_KEYS' ? (parseAlternateKeys(source.alternateKeys) || []) : [];
+
+  return {
+    status,
+    ...toKeyFieldsSnapshot(source),
+    alternateKeys: alternateKeys.map(toKeyFieldsSnapshot)
+  };
+}
+
+/**
+ * Compare two answer keys
+ * @param {Object} a - Question record or answer key
+ * @param {Object} b - Question record or answer key
+ * @returns {boolean} - True if both keys grade identically
+ */
+function isSameAnswerKey(a, b) {
+  return JSON.stringify(toAnswerKeySnapshot(a)) === JSON.stringify(toAnswerKeySnapshot(b));
+}
+
+module.exports = {
+  QUESTION_STATUSES,
+  buildKeyFields,
+  buildAnswerKey,
+  prepareAnswerKeys,
+  toAnswerKeyData,
+  toAnswerKeySnapshot,
+  isSameAnswerKey
+};
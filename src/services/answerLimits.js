@@ -0,0 +1,101 @@
+const { hasResponse } = require('./grading');
+
+/**
+ * Optional-question rules ("attempt any N of M")
+ *
+ * A section with `maxAnswered` accepts at most that many answered questions.
+ * Syncs that would go over the limit are refused per question, and grading
+ * only scores the first `maxAnswered` answered questions of the section.
+ * Dropped questions never take a place; bonus questions take one like any
+ * other question and only score when answered.
+ */
+
+/**
+ * Validate the answer limit of every section in a test payload
+ * Each section's `maxAnswered` is normalized to a positive integer or null
+ * @param {Object[]} sections - Parsed sections from the request
+ * @returns {{error?: string}} - Validation error, if any
+ */
+function prepareAnswerLimits(sections) {
+  for (const [sectionIndex, section] of sections.entries()) {
+    if (section.maxAnswered === undefined || section.maxAnswered === null || section.maxAnswered === '') {
+      section.maxAnswered = null;
+      continue;
+    }
+
+    const maxAnswered = Number(section.maxAnswered);
+    if (!Number.isInteger(maxAnswered) || maxAnswered < 1) {
+      return { error: `Section ${sectionIndex + 1}: answer limit must be a positive whole number` };
+    }
+    if (maxAnswered > section.questions.length) {
+      return { error: `Section ${sectionIndex + 1}: answer limit cannot exceed the number of questions` };
+    }
+
+    section.maxAnswered = maxAnswered;
+  }
+
+  return {};
+}
+
+/**
+ * Split a sync payload into answers that fit the section limits and answers that do not
+ * Questions already answered keep their place; newly answered questions are
+ * accepted in question order while the section has room
+ * @param {Object[]} storedAnswers - Attempt answers including `question.sectionId`, `question.questionNumber`, `question.status` and `question.section.maxAnswered`
+ * @param {Object[]} incomingAnswers - Answers from the client
+ * @returns {{accepted: Object[], rejected: Object[]}} - Answers to save and refused questions
+ */
+function limitSyncedAnswers(storedAnswers, incomingAnswers) {
+  const storedByQuestion = new Map(storedAnswers.map(answer => [answer.questionId, answer]));
+  const incomingByQuestion = new Map(incomingAnswers.map(answer => [answer.questionId, answer]));
+
+  // Questions that stay answered after this payload's changes and clears
+  const answeredCount = new Map();
+  storedAnswers.forEach(answer => {
+    const incoming = incomingByQuestion.get(answer.questionId);
+    if (answer.question.status !== 'DROPPED' && hasResponse(answer) && hasResponse(incoming || answer)) {
+      const { sectionId } = answer.question;
+      answeredCount.set(sectionId, (answeredCount.get(sectionId) || 0) + 1);
+    }
+  });
+
+  const newlyAnswered = incomingAnswers
+    .filter(answer => {
+      const stored = storedByQuestion.get(answer.questionId);
+      return stored?.question.section?.maxAnswered &&
+        stored.question.status !== 'DROPPED' &&
+        hasResponse(answer) &&
+        !hasResponse(stored);
+    })
+    .sort((a, b) =>
+      storedByQuestion.get(a.questionId).question.questionNumber -
+      storedByQuestion.get(b.questionId).question.questionNumber
+    );
+
+  const refused = new Set();
+  newlyAnswered.forEach(answer => {
+    const { sectionId, section } = storedByQuestion.get(answer.questionId).question;
+    const taken = answeredCount.get(sectionId) || 0;
+
+    if (taken < section.maxAnswered) {
+      answeredCount.set(sectionId, taken + 1);
+    } else {
+      refused.add(answer.questionId);
+    }
+  });
+
+  return {
+    accepted: incomingAnswers.filter(answer => !refused.has(answer.questionId)),
+    rejected: newlyAnswered
+      .filter(answer => refused.has(answer.questionId))
+      .map(answer => {
+        const { sectionId, section } = storedByQuestion.get(answer.questionId).question;
+        return { questionId: answer.questionId, sectionId, maxAnswered: section.maxAnswered };
+      })
+  };
+}
+
+module.exports = {
+  prepareAnswerLimits,
+  limitSyncedAnswers
+};
@@ -0,0 +1,87 @@
+const { getPrismaClient } = require('../utils/dbHealthCheck');
+const { getGracePeriodMs } = require('../utils/examTimer');
+const { finalizeAttempt } = require('./grading');
+
+const BATCH_SIZE = 50;
+let isSweeping = false;
+
+/**
+ * Grade and close a single expired attempt from its last synced answers
+ * @param {Object} prisma - Prisma client
+ * @param {string} attemptId - Expired attempt
+ * @returns {Promise<boolean>} - True if this call closed the attempt
+ */
+async function expireAttempt(prisma, attemptId) {
+  const attempt = await prisma.testAttempt.findUnique({
+    where: { id: attemptId },
+    select: { isCompleted: true, deadline: true }
+  });
+
+  if (!attempt || attempt.isCompleted) return false;
+
+  const result = await finalizeAttempt(prisma, attemptId, {
+    submissionType: 'TIME_EXPIRED',
+    endTime: attempt.deadline || new Date()
+  });
+
+  return result.completed;
+}
+
+/**
+ * Close every open attempt whose deadline and grace period have passed
+ * @returns {Promise<number>} - Number of attempts closed
+ */
+async function sweepExpiredAttempts() {
+  if (isSweeping) return 0;
+  isSweeping = true;
+
+  const prisma = getPrismaClient();
+  let closed = 0;
+
+  try {
+    const cutoff = new Date(Date.now() - getGracePeriodMs());
+
+    const expiredAttempts = await prisma.testAttempt.findMany({
+      where: {
+        isCompleted: false,
+        deadline: { lt: cutoff }
+      },
+      select: { id: true },
+      orderBy: { deadline: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    for (const { id } of expiredAttempts) {
+      try {
+        if (await expireAttempt(prisma, id)) closed++;
+      } catch (error) {
+        console.error(`❌ Failed to close expired attempt ${id}:`, error.message);
+      }
+    }
+
+    if (closed > 0) {
+      console.log(`⏰ Auto-submitted ${closed} expired attempt(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Expired attempt sweep failed:', error.message);
+  } finally {
+    isSweeping = false;
+  }
+
+  return closed;
+}
+
+/**
+ * Start periodic sweeps for expired attempts
+ */
+function startAttemptSweeper(intervalMs = 60000) {
+  console.log('⏰ Starting expired attempt sweeper...');
+  sweepExpiredAttempts();
+  setInterval(sweepExpiredAttempts, intervalMs);
+}
+
+module.exports = {
+  expireAttempt,
+  sweepExpiredAttempts,
+  startAttemptSweeper
+};
@@ -0,0 +1,543 @@
+const { toNullableJson } = require('../utils/prismaJson');
+
+/**
+ * Attempt grading shared by manual submission and automatic expiry
+ *
+ * Grading always reads the answers stored in the database. A final payload
+ * from the client is merged into those rows first, so a doctored submission
+ * can only change what the candidate could have synced anyway.
+ */
+
+const TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 30000 };
+
+/**
+ * Parse an integer response from the client or database
+ * @param {any} value - Raw response
+ * @returns {number|null} - Parsed integer, or null when unanswered
+ */
+function parseIntegerAnswer(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parse a decimal value from a request
+ * Values are kept as strings so Prisma stores them without float rounding
+ * @param {any} value - Raw value
+ * @returns {string|null|undefined} - Decimal string, null when empty, undefined when invalid
+ */
+function parseDecimal(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return undefined;
+  return String(Number(text));
+}
+
+/**
+ * Parse a numerical-value response, treating invalid input as unanswered
+ * @param {any} value - Raw response
+ * @returns {string|null} - Decimal string or null
+ */
+function parseNumericAnswer(value) {
+  return parseDecimal(value) ?? null;
+}
+
+/**
+ * Convert a stored Decimal (or string) to a number
+ * @param {any} value - Prisma Decimal, string or number
+ * @returns {number|null} - Number, or null when empty
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  return Number(value.toString());
+}
+
+/**
+ * Check a numerical response against an exact value, tolerance or range key
+ * @param {Object} question - Question with numerical key fields
+ * @param {number} value - Candidate's response
+ * @returns {boolean} - True if the response is accepted
+ */
+function isNumericalAnswerAccepted(question, value) {
+  const rangeMin = toNumber(question.answerRangeMin);
+  const rangeMax = toNumber(question.answerRangeMax);
+
+  if (rangeMin !== null && rangeMax !== null) {
+    return value >= rangeMin && value <= rangeMax;
+  }
+
+  const correctValue = toNumber(question.correctValue);
+  if (correctValue === null) return false;
+
+  let allowedDifference = 0;
+  const tolerance = toNumber(question.tolerance);
+  if (tolerance !== null) {
+    allowedDifference = question.toleranceType === 'RELATIVE'
+      ? Math.abs(correctValue) * tolerance
+      : tolerance;
+  }
+
+  // Small epsilon absorbs binary floating point error on decimal inputs
+  return Math.abs(value - correctValue) <= allowedDifference + 1e-9;
+}
+
+/**
+ * Grade a numerical-value answer
+ * @param {Object} question - Question with numerical key fields
+ * @param {number|null} value - Candidate's response
+ * @returns {{isCorrect: boolean|null, isPartiallyCorrect: boolean, marksAwarded: number}} - Result
+ */
+function gradeNumerical(question, value) {
+  if (value === null || Number.isNaN(value)) {
+    return { isCorrect: null, isPartiallyCorrect: false, marksAwarded: 0 };
+  }
+
+  const isCorrect = isNumericalAnswerAccepted(question, value);
+  return {
+    isCorrect,
+    isPartiallyCorrect: false,
+    marksAwarded: isCorrect ? question.marks : question.negativeMarks
+  };
+}
+
+/**
+ * Parse a multi-option response or key into a sorted list of unique labels
+ * Accepts an array, a JSON array string or a comma-separated string ("A,C")
+ * @param {any} value - Raw options
+ * @returns {string[]} - Sorted option labels
+ */
+function parseOptionList(value) {
+  if (value === null || value === undefined || value === '') return [];
+
+  let options = value;
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (error) {
+      options = options.split(',');
+    }
+  }
+
+  if (!Array.isArray(options)) options = [options];
+
+  const labels = options
+    .map(option => String(option).trim().toUpperCase())
+    .filter(Boolean);
+
+  return [...new Set(labels)].sort();
+}
+
+/**
+ * Parse a matrix-match response or key into `{ row: [columns] }`
+ * Accepts an object or a JSON string; labels are upper-cased and empty rows dropped
+ * @param {any} value - Raw matrix
+ * @returns {Object|null} - Row to sorted column labels, or null when empty
+ */
+function parseMatrixResponse(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let matrix = value;
+  if (typeof matrix === 'string') {
+    try {
+      matrix = JSON.parse(matrix);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) return null;
+
+  const parsed = {};
+  Object.entries(matrix).forEach(([row, columns]) => {
+    const rowLabel = String(row).trim().toUpperCase();
+    const columnLabels = parseOptionList(columns);
+    if (rowLabel && columnLabels.length > 0) parsed[rowLabel] = columnLabels;
+  });
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+}
+
+/**
+ * Grade a matrix-match answer row by row
+ * Each row is worth an equal share of the question's marks; a row is correct
+ * only when exactly its key columns are chosen
+ * @param {Object} question - Question with `matrixKey` and `matrixRows`
+ * @param {Object|null} response - Candidate's row to columns mapping
+ * @returns {{isCorrect: boolean|null, isPartiallyCorrect: boolean, marksAwarded: number}} - Result
+ */
+function gradeMatrixMatch(question, response) {
+  const key = parseMatrixResponse(question.matrixKey) || {};
+  const rows = question.matrixRows?.length > 0 ? question.matrixRows : Object.keys(key);
+
+  if (!response || rows.length === 0) {
+    return { isCorrect: null, isPartiallyCorrect: false, marksAwarded: 0 };
+  }
+
+  let correctRows = 0;
+  let wrongRows = 0;
+  rows.forEach(row => {
+    if (!response[row]) return;
+    const expected = key[row] || [];
+    const isRowCorrect = response[row].length === expected.length &&
+      response[row].every(column => expected.includes(column));
+    if (isRowCorrect) correctRows++;
+    else wrongRows++;
+  });
+
+  if (correctRows === 0 && wrongRows === 0) {
+    return { isCorrect: null, isPartiallyCorrect: false, marksAwarded: 0 };
+  }
+
+  const marksAwarded = Math.round(
+    (correctRows * question.marks + wrongRows * question.negativeMarks) / rows.length
+  );
+
+  return {
+    isCorrect: correctRows === rows.length,
+    isPartiallyCorrect: correctRows > 0 && correctRows < rows.length,
+    marksAwarded
+  };
+}
+
+/**
+ * Get the question type used for grading
+ * @param {Object} question - Question, optionally with its section
+ * @returns {string} - QuestionType value
+ */
+function getQuestionType(question) {
+  if (question.section?.questionType) return question.section.questionType;
+  if (question.correctOptions?.length > 0) return 'MULTI_MCQ';
+  if (question.matrixKey) return 'MATRIX_MATCH';
+  if (question.correctValue != null || question.answerRangeMin != null) return 'NUMERICAL';
+  return 'MCQ';
+}
+
+/**
+ * Grade a multiple-correct answer with JEE Advanced partial marking
+ *   all correct options chosen          -> full marks
+ *   any wrong option chosen             -> negative marks
+ *   only correct options, but not all   -> +1 per option chosen
+ * @param {Object} question - Question with `correctOptions`
+ * @param {string[]} selectedOptions - Candidate's options
+ * @returns {{isCorrect: boolean|null, isPartiallyCorrect: boolean, marksAwarded: number}} - Result
+ */
+function gradeMultipleCorrect(question, selectedOptions) {
+  const correctOptions = new Set(question.correctOptions || []);
+
+  if (selectedOptions.length === 0 || correctOptions.size === 0) {
+    return { isCorrect: null, isPartiallyCorrect: false, marksAwarded: 0 };
+  }
+
+  if (selectedOptions.some(option => !correctOptions.has(option))) {
+    return { isCorrect: false, isPartiallyCorrect: false, marksAwarded: question.negativeMarks };
+  }
+
+  if (selectedOptions.length === correctOptions.size) {
+    return { isCorrect: true, isPartiallyCorrect: false, marksAwarded: question.marks };
+  }
+
+  return {
+    isCorrect: false,
+    isPartiallyCorrect: true,
+    marksAwarded: Math.min(selectedOptions.length, question.marks - 1)
+  };
+}
+
+/**
+ * Grade a single answer against one set of key fields
+ * @param {Object} question - Question with answer key, marks and (optionally) section
+ * @param {Object} answer - Answer with status and response
+ * @returns {{isCorrect: boolean|null, isPartiallyCorrect: boolean, marksAwarded: number}} - null = unattempted
+ */
+function gradeAgainstKey(question, answer) {
+  const isAnswered = answer.status === 'ANSWERED' || answer.status === 'MARKED_FOR_REVIEW';
+
+  const questionType = getQuestionType(question);
+
+  if (questionType === 'MULTI_MCQ') {
+    const selectedOptions = isAnswered ? parseOptionList(answer.selectedOptions) : [];
+    return gradeMultipleCorrect(question, selectedOptions);
+  }
+
+  if (questionType === 'NUMERICAL') {
+    return gradeNumerical(question, isAnswered ? toNumber(answer.numericAnswer) : null);
+  }
+
+  if (questionType === 'MATRIX_MATCH') {
+    return gradeMatrixMatch(question, isAnswered ? parseMatrixResponse(answer.matrixAnswer) : null);
+  }
+
+  let isCorrect = null;
+  let marksAwarded = 0;
+
+  if (isAnswered) {
+    const integerAnswer = parseIntegerAnswer(answer.integerAnswer);
+
+    // Check if the answer is correct
+    if (question.correctOption && question.correctOption !== '' && answer.selectedOption === question.correctOption) {
+      isCorrect = true;
+      marksAwarded = question.marks;
+    } else if (question.correctInteger !== null && question.correctInteger !== undefined && integerAnswer === question.correctInteger) {
+      isCorrect = true;
+      marksAwarded = question.marks;
+    } else if (answer.selectedOption || integerAnswer !== null) {
+      // Student provided an answer but it's wrong
+      isCorrect = false;
+      marksAwarded = question.negativeMarks;
+    }
+    // If no answer provided, isCorrect remains null and marksAwarded remains 0
+  }
+
+  return { isCorrect, isPartiallyCorrect: false, marksAwarded };
+}
+
+/**
+ * Grade a single answer against its question
+ * Dropped questions score nothing, bonus questions award full marks to
+ * everyone, and questions with multiple keys take the best-scoring key
+ * @param {Object} question - Question with answer key, status, marks and (optionally) section
+ * @param {Object} answer - Answer with status and response
+ * @returns {{isCorrect: boolean|null, isPartiallyCorrect: boolean, marksAwarded: number}} - null = unattempted
+ */
+function gradeAnswer(question, answer) {
+  if (question.status === 'DROPPED') {
+    return { isCorrect: null, isPartiallyCorrect: false, marksAwarded: 0 };
+  }
+
+  let result = gradeAgainstKey(question, answer);
+
+  if (question.status === 'MULTIPLE_KEYS' && Array.isArray(question.alternateKeys)) {
+    question.alternateKeys.forEach(alternateKey => {
+      const alternateResult = gradeAgainstKey({ ...question, ...alternateKey }, answer);
+      if (alternateResult.marksAwarded > result.marksAwarded) result = alternateResult;
+    });
+  }
+
+  if (question.status === 'BONUS') {
+    return { ...result, marksAwarded: question.marks };
+  }
+
+  return result;
+}
+
+/**
+ * Check whether an answer holds a response that can be scored
+ * @param {Object} answer - Answer row or client answer
+ * @returns {boolean} - True if answered with a non-empty response
+ */
+function hasResponse(answer) {
+  if (answer.status !== 'ANSWERED' && answer.status !== 'MARKED_FOR_REVIEW') return false;
+
+  return Boolean(answer.selectedOption) ||
+    parseOptionList(answer.selectedOptions).length > 0 ||
+    parseIntegerAnswer(answer.integerAnswer) !== null ||
+    (answer.numericAnswer !== null && answer.numericAnswer !== undefined && answer.numericAnswer !== '') ||
+    parseMatrixResponse(answer.matrixAnswer) !== null;
+}
+
+/**
+ * Find answers that fall outside their section's answer limit
+ * In a section answering "any N", only the first N answered questions by
+ * question number are scored. Dropped questions score nothing and take no
+ * place among the N. A bonus question only pays out as one of the N answers,
+ * so unanswered bonus questions in such a section do not count.
+ * @param {Object[]} answers - Answer rows including `question.questionNumber`, `question.status` and `question.section.maxAnswered`
+ * @returns {Set<string>} - IDs of answers that do not count
+ */
+function findUncountedAnswerIds(answers) {
+  const answeredBySection = new Map();
+  const uncounted = new Set();
+
+  answers.forEach(answer => {
+    const maxAnswered = answer.question.section?.maxAnswered;
+    if (!maxAnswered || answer.question.status === 'DROPPED') return;
+    if (!hasResponse(answer)) {
+      if (answer.question.status === 'BONUS') uncounted.add(answer.id);
+      return;
+    }
+
+    const sectionAnswers = answeredBySection.get(answer.question.sectionId) || [];
+    sectionAnswers.push(answer);
+    answeredBySection.set(answer.question.sectionId, sectionAnswers);
+  });
+
+  answeredBySection.forEach(sectionAnswers => {
+    const { maxAnswered } = sectionAnswers[0].question.section;
+    sectionAnswers
+      .sort((a, b) => a.question.questionNumber - b.question.questionNumber)
+      .slice(maxAnswered)
+      .forEach(answer => uncounted.add(answer.id));
+  });
+
+  return uncounted;
+}
+
+/**
+ * Grade stored answers
+ * Answers beyond a section's answer limit are graded but score nothing.
+ * Section marks and the number of negatively marked answers are returned for ranking
+ * @param {Object[]} answers - Answer rows including their `question`
+ * @returns {{totalMarks: number, sectionMarks: Object, negativeCount: number, gradedAnswers: Object[]}} - Results
+ */
+function gradeStoredAnswers(answers) {
+  const uncounted = findUncountedAnswerIds(answers);
+  const sectionMarks = {};
+  let totalMarks = 0;
+  let negativeCount = 0;
+
+  const gradedAnswers = answers.map(answer => {
+    const { isCorrect, isPartiallyCorrect, marksAwarded } = gradeAnswer(answer.question, answer);
+    const isCounted = !uncounted.has(answer.id);
+    const countedMarks = isCounted ? marksAwarded : 0;
+    const { sectionId } = answer.question;
+
+    totalMarks += countedMarks;
+    sectionMarks[sectionId] = (sectionMarks[sectionId] || 0) + countedMarks;
+    if (countedMarks < 0) negativeCount++;
+
+    return { id: answer.id, isCorrect, isPartiallyCorrect, isCounted, marksAwarded: countedMarks };
+  });
+
+  return { totalMarks, sectionMarks, negativeCount, gradedAnswers };
+}
+
+/**
+ * Merge a final answer payload into the stored answers of an attempt
+ * Only response fields are taken from the client; unknown questions are ignored,
+ * and newly answered questions beyond a section's answer limit are refused as in a sync
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} attemptId - Attempt being submitted
+ * @param {Object[]} answers - Client answers
+ * @returns {Promise<number>} - Number of answers merged
+ */
+async function mergeAnswerPayload(tx, attemptId, answers) {
+  if (!Array.isArray(answers) || answers.length === 0) return 0;
+
+  // Required here because answerLimits depends on this module
+  const { limitSyncedAnswers } = require('./answerLimits');
+
+  const storedAnswers = await tx.answer.findMany({
+    where: { attemptId },
+    include: {
+      question: {
+        select: {
+          sectionId: true,
+          questionNumber: true,
+          status: true,
+          section: { select: { maxAnswered: true } }
+        }
+      }
+    }
+  });
+  const knownQuestionIds = new Set(storedAnswers.map(answer => answer.questionId));
+  const { accepted: mergeable } = limitSyncedAnswers(
+    storedAnswers,
+    answers.filter(answer => answer && knownQuestionIds.has(answer.questionId))
+  );
+
+  for (const answer of mergeable) {
+    await tx.answer.update({
+      where: {
+        attemptId_questionId: {
+          attemptId,
+          questionId: answer.questionId
+        }
+      },
+      data: {
+        selectedOption: answer.selectedOption || null,
+        selectedOptions: parseOptionList(answer.selectedOptions),
+        integerAnswer: parseIntegerAnswer(answer.integerAnswer),
+        numericAnswer: parseNumericAnswer(answer.numericAnswer),
+        matrixAnswer: toNullableJson(parseMatrixResponse(answer.matrixAnswer)),
+        status: answer.status
+      }
+    });
+  }
+
+  return mergeable.length;
+}
+
+/**
+ * Grade stored answers and save the results inside an existing transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} attemptId - Attempt to grade
+ * @returns {Promise<number>} - Total marks
+ */
+async function gradeAttemptInTransaction(tx, attemptId) {
+  const answers = await tx.answer.findMany({
+    where: { attemptId },
+    include: {
+      question: {
+        include: {
+          section: { select: { questionType: true, maxAnswered: true } }
+        }
+      }
+    }
+  });
+
+  const { totalMarks, sectionMarks, negativeCount, gradedAnswers } = gradeStoredAnswers(answers);
+
+  for (const answer of gradedAnswers) {
+    await tx.answer.update({
+      where: { id: answer.id },
+      data: {
+        isCorrect: answer.isCorrect,
+        isPartiallyCorrect: answer.isPartiallyCorrect,
+        isCounted: answer.isCounted,
+        marksAwarded: answer.marksAwarded
+      }
+    });
+  }
+
+  await tx.testAttempt.update({
+    where: { id: attemptId },
+    data: { totalMarks, sectionMarks, negativeCount }
+  });
+
+  return totalMarks;
+}
+
+/**
+ * Submit an attempt: merge the final payload, grade from the database and
+ * mark it completed in one transaction. Repeated calls are no-ops.
+ * @param {Object} prisma - Prisma client
+ * @param {string} attemptId - Attempt to submit
+ * @param {Object} options - Final answers and completion details
+ * @returns {Promise<{completed: boolean, totalMarks?: number}>} - completed is false if already submitted
+ */
+async function finalizeAttempt(prisma, attemptId, { answers = null, submissionType = 'MANUAL', endTime = new Date() } = {}) {
+  return await prisma.$transaction(async (tx) => {
+    // Claim the attempt; a concurrent submit waits on the row lock and then matches nothing
+    const claimed = await tx.testAttempt.updateMany({
+      where: { id: attemptId, isCompleted: false },
+      data: {
+        isCompleted: true,
+        endTime,
+        submissionType
+      }
+    });
+
+    if (claimed.count === 0) {
+      return { completed: false };
+    }
+
+    await mergeAnswerPayload(tx, attemptId, answers);
+    const totalMarks = await gradeAttemptInTransaction(tx, attemptId);
+
+    return { completed: true, totalMarks };
+  }, TRANSACTION_OPTIONS);
+}
+
+module.exports = {
+  parseIntegerAnswer,
+  parseDecimal,
+  parseNumericAnswer,
+  parseOptionList,
+  parseMatrixResponse,
+  hasResponse,
+  gradeAnswer,
+  gradeStoredAnswers,
+  gradeAttemptInTransaction,
+  finalizeAttempt
+};
@@ -0,0 +1,66 @@
+const { deleteImages } = require('../storage');
+
+/**
+ * Shared image cleanup
+ *
+ * The same image URL can be used by bank questions, the test questions
+ * copied from them and cloned tests, so an image is only deleted from storage
+ * once nothing in the database refers to it any more.
+ */
+
+/**
+ * Find which of the given images are still referenced
+ * @param {Object} prisma - Prisma client or transaction
+ * @param {string[]} urls - Image URLs
+ * @returns {Promise<Set<string>>} - URLs that are still in use
+ */
+async function findReferencedImages(prisma, urls) {
+  const candidates = [...new Set(urls.filter(Boolean))];
+  if (candidates.length === 0) return new Set();
+
+  const imageWhere = {
+    OR: [
+      { questionImage: { in: candidates } },
+      { solutionImage: { in: candidates } }
+    ]
+  };
+
+  const [questions, bankQuestions, groups] = await Promise.all([
+    prisma.question.findMany({ where: imageWhere, select: { questionImage: true, solutionImage: true } }),
+    prisma.bankQuestion.findMany({ where: imageWhere, select: { questionImage: true, solutionImage: true } }),
+    prisma.questionGroup.findMany({ where: { stemImage: { in: candidates } }, select: { stemImage: true } })
+  ]);
+
+  const inUse = new Set([
+    ...questions.flatMap(question => [question.questionImage, question.solutionImage]),
+    ...bankQuestions.flatMap(question => [question.questionImage, question.solutionImage]),
+    ...groups.map(group => group.stemImage)
+  ]);
+
+  return new Set(candidates.filter(url => inUse.has(url)));
+}
+
+/**
+ * Delete images that nothing refers to any more
+ * Call after the records that used them have been changed or deleted
+ * @param {Object} prisma - Prisma client
+ * @param {string[]} urls - Images that may have become unused
+ * @returns {Promise<{success: number, failed: number, kept: number}>} - Deletion results
+ */
+async function deleteUnreferencedImages(prisma, urls) {
+  const candidates = [...new Set(urls.filter(Boolean))];
+  if (candidates.length === 0) {
+    return { success: 0, failed: 0, kept: 0 };
+  }
+
+  const referenced = await findReferencedImages(prisma, candidates);
+  const unused = candidates.filter(url => !referenced.has(url));
+  const result = await deleteImages(unused);
+
+  return { ...result, kept: referenced.size };
+}
+
+module.exports = {
+  findReferencedImages,
+  deleteUnreferencedImages
+};
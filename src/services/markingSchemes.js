@@ -0,0 +1,144 @@
+const { MARKING_SCHEME_PRESETS, DEFAULT_MARKING_SCHEME } = require('../config/markingSchemes');
+
+/**
+ * Marking schemes can be set on a test, a section or a single question.
+ * The most specific one wins. The resolved values are stored on each
+ * question (`marks` / `negativeMarks`) so grading never has to walk the tree.
+ */
+
+/**
+ * Normalize marking scheme input from a request
+ * Accepts a preset name, a JSON string, or `{ preset?, correct?, incorrect? }`
+ * @param {any} input - Raw scheme
+ * @returns {{scheme?: Object|null, error?: string}} - Normalized scheme or validation error
+ */
+function normalizeMarkingScheme(input) {
+  if (input === undefined || input === null || input === '') {
+    return { scheme: null };
+  }
+
+  let value = input;
+  if (typeof value === 'string') {
+    // Multipart forms send JSON strings; a bare string is a preset name
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      value = { preset: value };
+    }
+    if (typeof value === 'string') value = { preset: value };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Invalid marking scheme' };
+  }
+
+  const preset = value.preset ? MARKING_SCHEME_PRESETS[value.preset] : null;
+  if (value.preset && !preset) {
+    return { error: `Unknown marking scheme preset: ${value.preset}` };
+  }
+
+  const correct = Number(value.correct ?? preset?.correct);
+  const incorrect = Number(value.incorrect ?? preset?.incorrect ?? 0);
+
+  if (!Number.isInteger(correct) || correct <= 0) {
+    return { error: 'Marks for a correct answer must be a positive integer' };
+  }
+  if (!Number.isInteger(incorrect) || incorrect > 0) {
+    return { error: 'Marks for a wrong answer must be zero or a negative integer' };
+  }
+
+  // Keep the preset name only while the values still match it
+  const matchesPreset = preset && preset.correct === correct && preset.incorrect === incorrect;
+
+  return {
+    scheme: {
+      preset: matchesPreset ? value.preset : null,
+      correct,
+      incorrect
+    }
+  };
+}
+
+/**
+ * Pick the most specific marking scheme
+ * @param {...(Object|null)} schemes - Schemes from most to least specific
+ * @returns {Object} - Effective scheme
+ */
+function resolveMarkingScheme(...schemes) {
+  return schemes.find(scheme => scheme) || DEFAULT_MARKING_SCHEME;
+}
+
+/**
+ * Validate and resolve marking schemes for a test payload
+ * Normalized schemes are written back onto the parsed sections and questions,
+ * and each question gets its effective `marks` / `negativeMarks`. Run
+ * prepareAnswerLimits and prepareAnswerKeys first so the total respects
+ * section answer limits and dropped questions
+ * @param {Object[]} sections - Parsed sections from the request
+ * @param {any} testSchemeInput - Test-level scheme from the request
+ * @returns {{error?: string, testScheme?: Object|null, totalMarks?: number}} - Result
+ */
+function applyMarkingSchemes(sections, testSchemeInput) {
+  const { scheme: testScheme, error: testError } = normalizeMarkingScheme(testSchemeInput);
+  if (testError) return { error: testError };
+
+  for (const [sectionIndex, section] of sections.entries()) {
+    const { scheme: sectionScheme, error: sectionError } = normalizeMarkingScheme(section.markingScheme);
+    if (sectionError) {
+      return { error: `Section ${sectionIndex + 1}: ${sectionError}` };
+    }
+    section.markingScheme = sectionScheme;
+
+    for (const [questionIndex, question] of section.questions.entries()) {
+      const { scheme: questionScheme, error: questionError } = normalizeMarkingScheme(question.markingScheme);
+      if (questionError) {
+        return { error: `Section ${sectionIndex + 1}, question ${questionIndex + 1}: ${questionError}` };
+      }
+      question.markingScheme = questionScheme;
+
+      const effective = resolveMarkingScheme(questionScheme, sectionScheme, testScheme);
+      question.marks = effective.correct;
+      question.negativeMarks = effective.incorrect;
+    }
+  }
+
+  return { testScheme, totalMarks: calculateTotalMarks(sections) };
+}
+
+/**
+ * Calculate the maximum score of a test
+ * Dropped questions are left out, and a section with an answer limit only
+ * counts its best `maxAnswered` questions; bonus questions are among them,
+ * since they only score there when answered
+ * @param {Object[]} sections - Sections with `maxAnswered` and questions with `marks` / `status`
+ * @returns {number} - Total marks
+ */
+function calculateTotalMarks(sections) {
+  return sections.reduce((total, section) => {
+    const sectionMarks = section.questions
+      .filter(question => question.status !== 'DROPPED')
+      .map(question => question.marks)
+      .sort((a, b) => b - a);
+    const scoringMarks = section.maxAnswered ? sectionMarks.slice(0, section.maxAnswered) : sectionMarks;
+    return total + scoringMarks.reduce((sum, marks) => sum + marks, 0);
+  }, 0);
+}
+
+/**
+ * List the available presets
+ * @returns {Object[]} - Presets with their keys
+ */
+function listMarkingSchemePresets() {
+  return Object.entries(MARKING_SCHEME_PRESETS).map(([key, preset]) => ({
+    key,
+    ...preset
+  }));
+}
+
+module.exports = {
+  normalizeMarkingScheme,
+  resolveMarkingScheme,
+  applyMarkingSchemes,
+  calculateTotalMarks,
+  listMarkingSchemePresets
+};
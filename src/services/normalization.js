@@ -0,0 +1,138 @@
+const {
+  rankedAttemptSelect,
+  rankedSectionsSelect,
+  alignSectionMarks,
+  assignRanks,
+  buildTestStandings
+} = require('./results');
+
+/**
+ * Multi-shift score normalization
+ *
+ * An exam groups several tests that are sat as shifts with different papers.
+ * Following the NTA procedure, every candidate first gets a percentile within
+ * their own shift (overall and per section), and that percentile is the
+ * normalized score. The shifts are then merged and ranked on the normalized
+ * score, breaking ties on section percentiles in section order and then on
+ * fewer negatively marked answers. Sections are matched across shifts by order.
+ */
+
+/**
+ * Merge shift standings into one normalized ranking
+ * @param {Object[]} shifts - Shifts with `test` (including ordered `sections`) and completed `attempts`
+ * @returns {Object[]} - Merged standings ordered by rank
+ */
+function buildExamStandings(shifts) {
+  const entries = shifts.flatMap(({ test, attempts }) =>
+    buildTestStandings(test.sections, attempts).map(standing => ({
+      test,
+      standing,
+      sectionPercentiles: standing.sections.map(section => section.percentile)
+    }))
+  );
+
+  const compareNormalized = (a, b) => {
+    if (a.standing.percentile !== b.standing.percentile) return b.standing.percentile - a.standing.percentile;
+    const sectionCount = Math.min(a.sectionPercentiles.length, b.sectionPercentiles.length);
+    for (let index = 0; index < sectionCount; index++) {
+      if (a.sectionPercentiles[index] !== b.sectionPercentiles[index]) {
+        return b.sectionPercentiles[index] - a.sectionPercentiles[index];
+      }
+    }
+    return a.standing.negativeCount - b.standing.negativeCount;
+  };
+
+  const mergedRanks = assignRanks(entries, compareNormalized);
+
+  return [...entries]
+    .sort((a, b) => mergedRanks.get(a) - mergedRanks.get(b))
+    .map(entry => ({
+      mergedRank: mergedRanks.get(entry),
+      normalizedScore: entry.standing.percentile,
+      attemptId: entry.standing.attemptId,
+      candidateId: entry.standing.candidateId,
+      candidateName: entry.standing.candidateName,
+      testId: entry.test.id,
+      shiftLabel: entry.test.shiftLabel || entry.test.name,
+      shiftRank: entry.standing.rank,
+      totalMarks: entry.standing.totalMarks,
+      negativeCount: entry.standing.negativeCount,
+      sections: entry.standing.sections
+    }));
+}
+
+/**
+ * Load an exam with its shifts and build the merged standings
+ * @param {Object} prisma - Prisma client
+ * @param {string} examId - Exam to normalize
+ * @returns {Promise<{exam: Object, standings: Object[]}|null>} - null when the exam does not exist
+ */
+async function loadExamStandings(prisma, examId) {
+  const exam = await prisma.exam.findUnique({
+    where: { id: examId },
+    include: {
+      tests: {
+        select: {
+          id: true,
+          name: true,
+          shiftLabel: true,
+          totalMarks: true,
+          ...rankedSectionsSelect
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!exam) return null;
+
+  const shifts = [];
+  for (const test of exam.tests) {
+    const attempts = await prisma.testAttempt.findMany({
+      where: { testId: test.id, isCompleted: true },
+      select: rankedAttemptSelect
+    });
+    shifts.push({ test, attempts: alignSectionMarks(test, attempts) });
+  }
+
+  return { exam, standings: buildExamStandings(shifts) };
+}
+
+/**
+ * Pick one attempt's normalized standing out of loaded exam standings
+ * @param {Object|null} result - Result of loadExamStandings
+ * @param {string} attemptId - Attempt to look up
+ * @returns {Object|null} - Normalized standing, or null when the attempt is not ranked
+ */
+function findAttemptNormalization(result, attemptId) {
+  const standing = result?.standings.find(entry => entry.attemptId === attemptId);
+  if (!standing) return null;
+
+  return {
+    examId: result.exam.id,
+    examName: result.exam.name,
+    shiftLabel: standing.shiftLabel,
+    normalizedScore: standing.normalizedScore,
+    mergedRank: standing.mergedRank,
+    totalCandidates: result.standings.length
+  };
+}
+
+/**
+ * Get the normalized score and merged rank of a completed attempt
+ * @param {Object} prisma - Prisma client
+ * @param {Object} attempt - Attempt with `id`, `isCompleted` and `test.examId`
+ * @returns {Promise<Object|null>} - Normalized standing, or null when the test is not part of an exam
+ */
+async function getAttemptNormalization(prisma, attempt) {
+  if (!attempt.isCompleted || !attempt.test?.examId) return null;
+
+  return findAttemptNormalization(await loadExamStandings(prisma, attempt.test.examId), attempt.id);
+}
+
+module.exports = {
+  buildExamStandings,
+  loadExamStandings,
+  findAttemptNormalization,
+  getAttemptNormalization
+};
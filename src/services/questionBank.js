@@ -0,0 +1,261 @@
+const { toNullableJson } = require('../utils/prismaJson');
+const { buildKeyFields, isSameAnswerKey } = require('./answerKeys');
+const { describeKeyChange, createAnswerKeyRevision } = require('./answerKeyRevisions');
+const { lockTest, publishTestVersion } = require('./testVersions');
+
+/**
+ * Question bank
+ *
+ * Bank questions hold an image, a solution and an answer key, tagged by
+ * subject, chapter, topic, difficulty and source year. Test questions created
+ * from the bank keep a `bankQuestionId`; editing the bank question saves the
+ * change into the working copy of every test using it. Published versions
+ * only take the new answer key, and key changes on tests with submitted
+ * attempts are recorded as answer-key revisions so they are re-graded.
+ */
+
+const QUESTION_TYPES = ['MCQ', 'MULTI_MCQ', 'INTEGER', 'NUMERICAL', 'MATRIX_MATCH'];
+const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+const KEY_FIELDS = [
+  'correctOption',
+  'correctOptions',
+  'correctInteger',
+  'correctValue',
+  'answerRangeMin',
+  'answerRangeMax',
+  'tolerance',
+  'toleranceType',
+  'matrixRows',
+  'matrixColumns',
+  'matrixKey'
+];
+const DECIMAL_FIELDS = ['correctValue', 'answerRangeMin', 'answerRangeMax', 'tolerance'];
+
+/**
+ * Validate the tags of a bank question
+ * @param {Object} input - Request body
+ * @returns {{tags?: Object, error?: string}} - Parsed tags or validation error
+ */
+function parseBankTags(input) {
+  const subject = input.subject?.trim();
+  if (!subject) {
+    return { error: 'Subject is required' };
+  }
+
+  const difficulty = input.difficulty ? String(input.difficulty).toUpperCase() : null;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    return { error: `Difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+  }
+
+  let sourceYear = null;
+  if (input.sourceYear !== undefined && input.sourceYear !== null && input.sourceYear !== '') {
+    sourceYear = Number(input.sourceYear);
+    if (!Number.isInteger(sourceYear) || sourceYear < 1900 || sourceYear > 2100) {
+      return { error: 'Source year must be a valid year' };
+    }
+  }
+
+  return {
+    tags: {
+      subject,
+      chapter: input.chapter?.trim() || null,
+      topic: input.topic?.trim() || null,
+      difficulty,
+      sourceYear
+    }
+  };
+}
+
+/**
+ * Validate the type and answer key of a bank question
+ * @param {Object} input - Request body
+ * @returns {{questionType?: string, key?: Object, error?: string}} - Parsed key or validation error
+ */
+function parseBankKey(input) {
+  const questionType = input.questionType;
+  if (!QUESTION_TYPES.includes(questionType)) {
+    return { error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+
+  const { key, error } = buildKeyFields(input, questionType);
+  if (error) return { error };
+
+  return { questionType, key };
+}
+
+/**
+ * Pick the answer key fields of a bank question
+ * @param {Object} bankQuestion - Bank question record or parsed key
+ * @returns {Object} - Key fields
+ */
+function pickKeyFields(bankQuestion) {
+  return Object.fromEntries(KEY_FIELDS.map(field => [field, bankQuestion[field] ?? null]));
+}
+
+/**
+ * Convert key fields into Prisma data
+ * @param {Object} key - Key fields
+ * @returns {Object} - Question or bank question fields
+ */
+function toKeyData(key) {
+  return {
+    ...pickKeyFields(key),
+    correctOptions: key.correctOptions || [],
+    matrixRows: key.matrixRows || [],
+    matrixColumns: key.matrixColumns || [],
+    matrixKey: toNullableJson(key.matrixKey)
+  };
+}
+
+/**
+ * Fill test payload questions that reference the bank with the bank's image and key
+ * Must run before prepareAnswerKeys
+ * @param {Object} prisma - Prisma client
+ * @param {Object[]} sections - Parsed sections from the request
+ * @returns {Promise<{error?: string}>} - Validation error, if any
+ */
+async function attachBankQuestions(prisma, sections) {
+  const bankQuestionIds = [...new Set(
+    sections.flatMap(section => section.questions.map(question => question.bankQuestionId).filter(Boolean))
+  )];
+
+  if (bankQuestionIds.length === 0) return {};
+
+  const bankQuestions = await prisma.bankQuestion.findMany({
+    where: { id: { in: bankQuestionIds } }
+  });
+  const bankQuestionsById = new Map(bankQuestions.map(bankQuestion => [bankQuestion.id, bankQuestion]));
+
+  for (const [sectionIndex, section] of sections.entries()) {
+    for (const [questionIndex, question] of section.questions.entries()) {
+      if (!question.bankQuestionId) continue;
+
+      const bankQuestion = bankQuestionsById.get(question.bankQuestionId);
+      const location = `Section ${sectionIndex + 1}, question ${questionIndex + 1}`;
+      if (!bankQuestion) {
+        return { error: `${location}: bank question not found` };
+      }
+      if (bankQuestion.questionType !== section.questionType) {
+        return { error: `${location}: bank question is ${bankQuestion.questionType}, section is ${section.questionType}` };
+      }
+
+      Object.assign(question, pickKeyFields(bankQuestion));
+      // Decimals are passed on as strings, the same as request input
+      DECIMAL_FIELDS.forEach(field => {
+        question[field] = bankQuestion[field]?.toString() ?? null;
+      });
+      question.questionImage = bankQuestion.questionImage;
+      question.solutionImage = bankQuestion.solutionImage;
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Copy a bank question's images and key into the tests that use it
+ * Working copies are saved like any other edit, so a version that attempts
+ * were taken on is detached rather than given new images. Questions of
+ * published versions only get the new key. Key changes on tests with
+ * submitted attempts are recorded as revisions; schedule revision processing
+ * after the transaction commits
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} bankQuestion - Updated bank question
+ * @param {string} createdById - Admin making the change
+ * @returns {Promise<{updated: number, revisions: Object[]}>} - Linked questions updated and revisions created
+ */
+async function propagateBankQuestion(tx, bankQuestion, createdById) {
+  // Required here because both depend on this module
+  const { exportTestInclude } = require('./testExport');
+  const { toEditableSections, validateEditableSections, saveWorkingCopy } = require('./testEditing');
+
+  const changesByTest = new Map();
+  const addChanges = (testId, changes) => {
+    if (changes.length === 0) return;
+    changesByTest.set(testId, [...(changesByTest.get(testId) || []), ...changes]);
+  };
+  let updated = 0;
+
+  const workingSections = await tx.section.findMany({
+    where: { testId: { not: null }, questions: { some: { bankQuestionId: bankQuestion.id } } },
+    select: { testId: true },
+    distinct: ['testId']
+  });
+
+  for (const { testId } of workingSections) {
+    await lockTest(tx, testId);
+    const test = await tx.test.findUnique({
+      where: { id: testId },
+      include: exportTestInclude
+    });
+
+    // Validation copies the updated bank question into the linked questions
+    const sections = toEditableSections(test.sections);
+    const { error, totalMarks } = await validateEditableSections(tx, sections, test.markingScheme);
+    if (error) {
+      throw new Error(`Could not update test "${test.name}" from the question bank: ${error}`);
+    }
+
+    const { keyChanges } = await saveWorkingCopy(tx, testId, sections, { totalMarks });
+    addChanges(testId, keyChanges);
+    updated += sections
+      .flatMap(section => section.questions)
+      .filter(question => question.bankQuestionId === bankQuestion.id).length;
+
+    // A live test always has its current content published
+    if (test.isLive) {
+      await publishTestVersion(tx, testId);
+    }
+  }
+
+  // Includes working copies detached above
+  const publishedQuestions = await tx.question.findMany({
+    where: { bankQuestionId: bankQuestion.id, section: { testId: null } },
+    include: {
+      section: {
+        select: { name: true, version: { select: { testId: true } } }
+      }
+    }
+  });
+
+  const keyFields = pickKeyFields(bankQuestion);
+  for (const question of publishedQuestions) {
+    // Question status and alternate keys are set per test and stay as they are
+    const newKey = { ...keyFields, status: question.status, alternateKeys: question.alternateKeys };
+    if (isSameAnswerKey(question, newKey)) continue;
+
+    await tx.question.update({
+      where: { id: question.id },
+      data: toKeyData(keyFields)
+    });
+    addChanges(question.section.version.testId, [describeKeyChange(question, question.section.name, newKey)]);
+    updated++;
+  }
+
+  const revisions = [];
+  for (const [testId, changes] of changesByTest) {
+    const completedAttempts = await tx.testAttempt.count({
+      where: { testId, isCompleted: true }
+    });
+    if (completedAttempts > 0) {
+      revisions.push(await createAnswerKeyRevision(tx, {
+        testId,
+        changes,
+        reason: 'Updated from the question bank',
+        createdById
+      }));
+    }
+  }
+
+  return { updated, revisions };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  parseBankTags,
+  parseBankKey,
+  toKeyData,
+  attachBankQuestions,
+  propagateBankQuestion
+};
@@ -0,0 +1,91 @@
+/**
+ * Question groups (paragraph / comprehension passages)
+ *
+ * A section payload may declare `groups: [{ stemText, stemImage }]` and each
+ * question may point at one with `groupIndex`. Questions of a group must be
+ * consecutive so the passage is always shown with all of its questions.
+ */
+
+/**
+ * Validate the groups of every section in a test payload
+ * Each section's `groups` is replaced with normalized groups that list their
+ * `questionIndexes`, ordered by where the group starts
+ * @param {Object[]} sections - Parsed sections from the request
+ * @returns {{error?: string}} - Validation error, if any
+ */
+function prepareQuestionGroups(sections) {
+  for (const [sectionIndex, section] of sections.entries()) {
+    const groups = Array.isArray(section.groups) ? section.groups : [];
+    const members = groups.map(() => []);
+
+    for (const [questionIndex, question] of section.questions.entries()) {
+      if (question.groupIndex === undefined || question.groupIndex === null || question.groupIndex === '') {
+        continue;
+      }
+
+      const groupIndex = parseInt(question.groupIndex, 10);
+      if (Number.isNaN(groupIndex) || !members[groupIndex]) {
+        return { error: `Section ${sectionIndex + 1}, question ${questionIndex + 1}: unknown question group` };
+      }
+      members[groupIndex].push(questionIndex);
+    }
+
+    for (const [groupIndex, questionIndexes] of members.entries()) {
+      if (questionIndexes.length === 0) {
+        return { error: `Section ${sectionIndex + 1}: question group ${groupIndex + 1} has no questions` };
+      }
+
+      const isConsecutive = questionIndexes.every((index, position) => index === questionIndexes[0] + position);
+      if (!isConsecutive) {
+        return { error: `Section ${sectionIndex + 1}: questions of group ${groupIndex + 1} must be consecutive` };
+      }
+    }
+
+    section.groups = groups
+      .map((group, groupIndex) => ({
+        sourceIndex: groupIndex,
+        stemText: group.stemText?.trim() || null,
+        stemImage: group.stemImage || null,
+        questionIndexes: members[groupIndex]
+      }))
+      .sort((a, b) => a.questionIndexes[0] - b.questionIndexes[0]);
+  }
+
+  return {};
+}
+
+/**
+ * Recreate the groups of a section and attach their questions
+ * Questions are matched by `questionNumber`, which follows payload order
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} sectionId - Section to update
+ * @param {Object[]} groups - Groups from prepareQuestionGroups with resolved `stemImage`
+ * @returns {Promise<void>}
+ */
+async function replaceSectionGroups(tx, sectionId, groups) {
+  await tx.questionGroup.deleteMany({ where: { sectionId } });
+
+  for (const [order, group] of groups.entries()) {
+    const createdGroup = await tx.questionGroup.create({
+      data: {
+        order,
+        stemText: group.stemText,
+        stemImage: group.stemImage,
+        sectionId
+      }
+    });
+
+    await tx.question.updateMany({
+      where: {
+        sectionId,
+        questionNumber: { in: group.questionIndexes.map(index => index + 1) }
+      },
+      data: { groupId: createdGroup.id }
+    });
+  }
+}
+
+module.exports = {
+  prepareQuestionGroups,
+  replaceSectionGroups
+};
@@ -0,0 +1,218 @@
+/**
+ * Test results: ranks, NTA percentiles and leaderboards
+ *
+ * Standings are built from the marks stored on completed attempts when they
+ * are graded. Candidates are ordered by total marks, then by section marks in
+ * section order, then by fewer negatively marked answers; candidates still
+ * level share a rank. Percentiles follow the NTA formula:
+ *   100 × (candidates scoring less than or equal to the candidate) / (all candidates)
+ * Attempts taken on earlier versions of a test are matched to its current
+ * sections by section order.
+ */
+
+const PERCENTILE_DECIMALS = 7;
+
+// Attempt fields needed to rank a test
+const rankedAttemptSelect = {
+  id: true,
+  candidateId: true,
+  totalMarks: true,
+  sectionMarks: true,
+  negativeCount: true,
+  endTime: true,
+  candidate: { select: { id: true, fullName: true } }
+};
+
+// Test fields needed to match section marks across versions
+const rankedSectionsSelect = {
+  sections: {
+    select: { id: true, name: true, order: true },
+    orderBy: { order: 'asc' }
+  },
+  versions: {
+    select: {
+      sections: { select: { id: true, order: true } }
+    }
+  }
+};
+
+/**
+ * Key the section marks of attempts by the test's current sections
+ * @param {Object} test - Test loaded with rankedSectionsSelect
+ * @param {Object[]} attempts - Completed attempts with `sectionMarks`
+ * @returns {Object[]} - Attempts whose `sectionMarks` use current section IDs
+ */
+function alignSectionMarks(test, attempts) {
+  const currentByOrder = new Map(test.sections.map(section => [section.order, section.id]));
+  const orderById = new Map(
+    test.versions.flatMap(version => version.sections.map(section => [section.id, section.order]))
+  );
+
+  return attempts.map(attempt => ({
+    ...attempt,
+    sectionMarks: Object.fromEntries(
+      Object.entries(attempt.sectionMarks || {}).map(([sectionId, marks]) => [
+        currentByOrder.get(orderById.get(sectionId)) ?? sectionId,
+        marks
+      ])
+    )
+  }));
+}
+
+/**
+ * Build an NTA percentile lookup for a set of scores
+ * @param {number[]} scores - Scores of every candidate
+ * @returns {function(number): number} - Score to percentile
+ */
+function buildPercentileLookup(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+
+  return (score) => {
+    // Number of scores less than or equal to `score`
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sorted[middle] <= score) low = middle + 1;
+      else high = middle;
+    }
+    return sorted.length > 0 ? Number((100 * low / sorted.length).toFixed(PERCENTILE_DECIMALS)) : 0;
+  };
+}
+
+/**
+ * Assign competition ranks (1, 2, 2, 4) in the order given by `compare`
+ * @param {Object[]} entries - Items to rank
+ * @param {function(Object, Object): number} compare - Negative when the first item ranks higher, 0 when level
+ * @returns {Map<Object, number>} - Item to rank
+ */
+function assignRanks(entries, compare) {
+  const ranks = new Map();
+  const sorted = [...entries].sort(compare);
+
+  sorted.forEach((entry, index) => {
+    const previous = sorted[index - 1];
+    const isLevel = previous && compare(previous, entry) === 0;
+    ranks.set(entry, isLevel ? ranks.get(previous) : index + 1);
+  });
+
+  return ranks;
+}
+
+/**
+ * Build the standings of a test
+ * @param {Object[]} sections - Test sections in order, with `id` and `name`
+ * @param {Object[]} attempts - Completed attempts with `candidate`, `totalMarks`, `sectionMarks` and `negativeCount`
+ * @returns {Object[]} - Standings ordered by rank
+ */
+function buildTestStandings(sections, attempts) {
+  const entries = attempts.map(attempt => ({
+    attempt,
+    sectionScores: sections.map(section => attempt.sectionMarks?.[section.id] || 0)
+  }));
+
+  const compareOverall = (a, b) => {
+    if (a.attempt.totalMarks !== b.attempt.totalMarks) return b.attempt.totalMarks - a.attempt.totalMarks;
+    for (let index = 0; index < sections.length; index++) {
+      if (a.sectionScores[index] !== b.sectionScores[index]) return b.sectionScores[index] - a.sectionScores[index];
+    }
+    return a.attempt.negativeCount - b.attempt.negativeCount;
+  };
+
+  const overallRanks = assignRanks(entries, compareOverall);
+  const overallPercentile = buildPercentileLookup(entries.map(entry => entry.attempt.totalMarks));
+
+  const sectionRankings = sections.map((section, index) => ({
+    ranks: assignRanks(entries, (a, b) => b.sectionScores[index] - a.sectionScores[index]),
+    percentile: buildPercentileLookup(entries.map(entry => entry.sectionScores[index]))
+  }));
+
+  return [...entries]
+    .sort((a, b) => overallRanks.get(a) - overallRanks.get(b))
+    .map(entry => ({
+      rank: overallRanks.get(entry),
+      attemptId: entry.attempt.id,
+      candidateId: entry.attempt.candidate?.id || entry.attempt.candidateId,
+      candidateName: entry.attempt.candidate?.fullName || null,
+      totalMarks: entry.attempt.totalMarks,
+      percentile: overallPercentile(entry.attempt.totalMarks),
+      negativeCount: entry.attempt.negativeCount,
+      endTime: entry.attempt.endTime,
+      sections: sections.map((section, index) => ({
+        sectionId: section.id,
+        sectionName: section.name,
+        marks: entry.sectionScores[index],
+        rank: sectionRankings[index].ranks.get(entry),
+        percentile: sectionRankings[index].percentile(entry.sectionScores[index])
+      }))
+    }));
+}
+
+/**
+ * Load a test and build its standings
+ * @param {Object} prisma - Prisma client
+ * @param {string} testId - Test to rank
+ * @returns {Promise<{test: Object, standings: Object[]}|null>} - null when the test does not exist
+ */
+async function loadTestStandings(prisma, testId) {
+  const test = await prisma.test.findUnique({
+    where: { id: testId },
+    select: {
+      id: true,
+      name: true,
+      totalMarks: true,
+      ...rankedSectionsSelect
+    }
+  });
+
+  if (!test) return null;
+
+  const attempts = await prisma.testAttempt.findMany({
+    where: { testId, isCompleted: true },
+    select: rankedAttemptSelect
+  });
+
+  const { versions, ...rankedTest } = test;
+  return { test: rankedTest, standings: buildTestStandings(test.sections, alignSectionMarks(test, attempts)) };
+}
+
+/**
+ * Pick one attempt's standing out of loaded test standings
+ * @param {Object|null} result - Result of loadTestStandings
+ * @param {string} attemptId - Attempt to look up
+ * @returns {Object|null} - Rank, percentile and section standings, or null if not ranked
+ */
+function findAttemptStanding(result, attemptId) {
+  const standing = result?.standings.find(entry => entry.attemptId === attemptId);
+  if (!standing) return null;
+
+  return {
+    rank: standing.rank,
+    totalCandidates: result.standings.length,
+    percentile: standing.percentile,
+    sections: standing.sections
+  };
+}
+
+/**
+ * Get where one completed attempt stands in its test
+ * @param {Object} prisma - Prisma client
+ * @param {Object} attempt - Completed attempt with `id` and `testId`
+ * @returns {Promise<Object|null>} - Rank, percentile and section standings, or null if not ranked
+ */
+async function getAttemptStanding(prisma, attempt) {
+  if (!attempt.isCompleted) return null;
+
+  return findAttemptStanding(await loadTestStandings(prisma, attempt.testId), attempt.id);
+}
+
+module.exports = {
+  rankedAttemptSelect,
+  rankedSectionsSelect,
+  alignSectionMarks,
+  assignRanks,
+  buildTestStandings,
+  loadTestStandings,
+  findAttemptStanding,
+  getAttemptStanding
+};
@@ -0,0 +1,358 @@
+const ExcelJS = require('exceljs');
+const { hasResponse, parseOptionList, parseMatrixResponse } = require('./grading');
+const { loadTestStandings } = require('./results');
+
+/**
+ * Results export
+ *
+ * One row per completed attempt, in rank order, with section marks, answer
+ * counts, timing, warnings and every response. Attempts are read in batches
+ * and written to the response as they are loaded, so large tests never sit
+ * in memory at once. Sections and questions are matched across test versions
+ * by section order and question number. Responses use canonical option labels.
+ */
+
+const EXPORT_BATCH_SIZE = 100;
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Attempt fields needed for an export row
+const exportAttemptSelect = {
+  id: true,
+  startTime: true,
+  endTime: true,
+  submissionType: true,
+  totalMarks: true,
+  sectionMarks: true,
+  warningCount: true,
+  candidate: { select: { fullName: true, phone: true } },
+  version: { select: { version: true } },
+  answers: {
+    select: {
+      status: true,
+      selectedOption: true,
+      selectedOptions: true,
+      integerAnswer: true,
+      numericAnswer: true,
+      matrixAnswer: true,
+      isCorrect: true,
+      isPartiallyCorrect: true,
+      timeSpent: true,
+      question: {
+        select: {
+          questionNumber: true,
+          section: { select: { order: true } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Load what an export needs before any attempt is read
+ * Columns cover every section and question of the versions that have
+ * completed attempts, named after the most recent version
+ * @param {Object} prisma - Prisma client
+ * @param {string} testId - Test to export
+ * @returns {Promise<Object|null>} - Export layout, or null when the test does not exist
+ */
+async function loadResultsExport(prisma, testId) {
+  const result = await loadTestStandings(prisma, testId);
+  if (!result) return null;
+
+  const versions = await prisma.testVersion.findMany({
+    where: { testId, attempts: { some: { isCompleted: true } } },
+    select: {
+      sections: {
+        select: {
+          id: true,
+          name: true,
+          order: true,
+          questions: { select: { questionNumber: true } }
+        }
+      }
+    },
+    orderBy: { version: 'asc' }
+  });
+
+  const sectionsByOrder = new Map();
+  const questionKeys = new Map();
+  const sectionOrderById = new Map();
+  versions.flatMap(version => version.sections).forEach(section => {
+    sectionOrderById.set(section.id, section.order);
+    sectionsByOrder.set(section.order, section.name);
+    section.questions.forEach(question => {
+      questionKeys.set(`${section.order}:${question.questionNumber}`, { order: section.order, questionNumber: question.questionNumber });
+    });
+  });
+
+  const sections = [...sectionsByOrder.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([order, name]) => ({ order, name }));
+
+  const questions = [...questionKeys.entries()]
+    .sort(([, a], [, b]) => a.order - b.order || a.questionNumber - b.questionNumber)
+    .map(([key, question]) => ({ key, label: `${sectionsByOrder.get(question.order)} Q${question.questionNumber}` }));
+
+  return {
+    test: result.test,
+    standings: result.standings,
+    sections,
+    questions,
+    sectionOrderById
+  };
+}
+
+/**
+ * Column headings of an export
+ * @param {Object} layout - Result of loadResultsExport
+ * @returns {string[]} - Headings
+ */
+function buildHeader(layout) {
+  return [
+    'Rank',
+    'Percentile',
+    'Candidate',
+    'Phone',
+    'Version',
+    'Started',
+    'Submitted',
+    'Submission',
+    'Time taken (s)',
+    'Time on questions (s)',
+    'Warnings',
+    'Total marks',
+    'Correct',
+    'Partially correct',
+    'Wrong',
+    'Unattempted',
+    ...layout.sections.flatMap(section => [
+      `${section.name} marks`,
+      `${section.name} correct`,
+      `${section.name} wrong`,
+      `${section.name} unattempted`
+    ]),
+    ...layout.questions.map(question => question.label)
+  ];
+}
+
+/**
+ * Format a stored response for a spreadsheet cell
+ * @param {Object} answer - Answer row
+ * @returns {string} - Response, or an empty string when unattempted
+ */
+function formatResponse(answer) {
+  if (!hasResponse(answer)) return '';
+
+  if (answer.selectedOption) return answer.selectedOption;
+
+  const selectedOptions = parseOptionList(answer.selectedOptions);
+  if (selectedOptions.length > 0) return selectedOptions.join(',');
+
+  if (answer.integerAnswer !== null && answer.integerAnswer !== undefined) return String(answer.integerAnswer);
+  if (answer.numericAnswer !== null && answer.numericAnswer !== undefined) return answer.numericAnswer.toString();
+
+  const matrixAnswer = parseMatrixResponse(answer.matrixAnswer);
+  return matrixAnswer
+    ? Object.keys(matrixAnswer).sort().map(row => `${row}-${matrixAnswer[row].join('')}`).join(' ')
+    : '';
+}
+
+/**
+ * Count correct, partially correct, wrong and unattempted answers
+ * @param {Object[]} answers - Answer rows
+ * @returns {{correct: number, partial: number, wrong: number, unattempted: number}} - Counts
+ */
+function countAnswers(answers) {
+  const counts = { correct: 0, partial: 0, wrong: 0, unattempted: 0 };
+  answers.forEach(answer => {
+    if (!hasResponse(answer)) counts.unattempted++;
+    else if (answer.isCorrect) counts.correct++;
+    else if (answer.isPartiallyCorrect) counts.partial++;
+    else if (answer.isCorrect === false) counts.wrong++;
+  });
+  return counts;
+}
+
+/**
+ * Build the export row of one attempt
+ * @param {Object} layout - Result of loadResultsExport
+ * @param {Object} standing - Standing of the attempt
+ * @param {Object} attempt - Attempt loaded with exportAttemptSelect
+ * @returns {Array} - Cell values in header order
+ */
+function buildRow(layout, standing, attempt) {
+  const overall = countAnswers(attempt.answers);
+
+  const sectionMarks = new Map();
+  Object.entries(attempt.sectionMarks || {}).forEach(([sectionId, marks]) => {
+    sectionMarks.set(layout.sectionOrderById.get(sectionId), marks);
+  });
+
+  const responses = new Map(attempt.answers.map(answer => [
+    `${answer.question.section.order}:${answer.question.questionNumber}`,
+    formatResponse(answer)
+  ]));
+
+  const timeTaken = attempt.endTime
+    ? Math.round((attempt.endTime.getTime() - attempt.startTime.getTime()) / 1000)
+    : null;
+
+  return [
+    standing.rank,
+    standing.percentile,
+    attempt.candidate.fullName,
+    attempt.candidate.phone || '',
+    attempt.version?.version ?? '',
+    attempt.startTime.toISOString(),
+    attempt.endTime ? attempt.endTime.toISOString() : '',
+    attempt.submissionType || '',
+    timeTaken ?? '',
+    attempt.answers.reduce((sum, answer) => sum + answer.timeSpent, 0),
+    attempt.warningCount,
+    attempt.totalMarks,
+    overall.correct,
+    overall.partial,
+    overall.wrong,
+    overall.unattempted,
+    ...layout.sections.flatMap(section => {
+      const counts = countAnswers(attempt.answers.filter(answer => answer.question.section.order === section.order));
+      return [sectionMarks.get(section.order) ?? 0, counts.correct, counts.wrong, counts.unattempted];
+    }),
+    ...layout.questions.map(question => responses.get(question.key) ?? '')
+  ];
+}
+
+/**
+ * Build the rows of every completed attempt, a batch at a time, in rank order
+ * Stops early once the stream is destroyed, e.g. when the client disconnects
+ * @param {Object} prisma - Prisma client
+ * @param {Object} layout - Result of loadResultsExport
+ * @param {Object} stream - Stream the rows end up in
+ * @param {function(Array[]): Promise<void>} writeRows - Receives each batch of rows
+ * @returns {Promise<void>}
+ */
+async function forEachRowBatch(prisma, layout, stream, writeRows) {
+  for (let start = 0; start < layout.standings.length && !stream.destroyed; start += EXPORT_BATCH_SIZE) {
+    const batch = layout.standings.slice(start, start + EXPORT_BATCH_SIZE);
+    const attempts = await prisma.testAttempt.findMany({
+      where: { id: { in: batch.map(standing => standing.attemptId) } },
+      select: exportAttemptSelect
+    });
+    const attemptsById = new Map(attempts.map(attempt => [attempt.id, attempt]));
+
+    await writeRows(batch
+      .filter(standing => attemptsById.has(standing.attemptId))
+      .map(standing => buildRow(layout, standing, attemptsById.get(standing.attemptId))));
+  }
+}
+
+/**
+ * Keep spreadsheet programs from running text as a formula
+ * Candidate names and other text starting with a formula character get a
+ * leading apostrophe; numbers, including negative ones, are left alone
+ * @param {any} value - Cell value
+ * @returns {any} - Value safe to put in a cell
+ */
+function neutralizeFormula(value) {
+  if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value)) return value;
+  return /^[+-]?\d+(\.\d+)?$/.test(value) ? value : `'${value}`;
+}
+
+/**
+ * Quote a value for CSV
+ * @param {any} value - Cell value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write text to a stream, waiting when its buffer is full
+ * Also settles when the stream closes or fails, which it does instead of
+ * draining when the client disconnects
+ * @param {Object} stream - Writable stream
+ * @param {string} text - Text to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(stream, text) {
+  if (stream.destroyed || stream.write(text)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      stream.off('drain', settle);
+      stream.off('close', settle);
+      stream.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    stream.on('drain', settle);
+    stream.on('close', settle);
+    stream.on('error', settle);
+  });
+}
+
+/**
+ * Stream an export as CSV
+ * @param {Object} prisma - Prisma client
+ * @param {Object} layout - Result of loadResultsExport
+ * @param {Object} stream - Writable stream (the response)
+ * @returns {Promise<void>}
+ */
+async function writeResultsCsv(prisma, layout, stream) {
+  const toLine = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+  // The byte order mark makes Excel read the file as UTF-8
+  await writeChunk(stream, `\uFEFF${toLine(buildHeader(layout))}`);
+  await forEachRowBatch(prisma, layout, stream, async (rows) => {
+    await writeChunk(stream, rows.map(toLine).join(''));
+  });
+  if (!stream.destroyed) {
+    stream.end();
+  }
+}
+
+/**
+ * Stream an export as an XLSX workbook
+ * @param {Object} prisma - Prisma client
+ * @param {Object} layout - Result of loadResultsExport
+ * @param {Object} stream - Writable stream (the response)
+ * @returns {Promise<void>}
+ */
+async function writeResultsXlsx(prisma, layout, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Results', {
+    views: [{ state: 'frozen', xSplit: 3, ySplit: 1 }]
+  });
+
+  const header = worksheet.addRow(buildHeader(layout).map(neutralizeFormula));
+  header.font = { bold: true };
+  header.commit();
+
+  await forEachRowBatch(prisma, layout, stream, async (rows) => {
+    rows.forEach(row => worksheet.addRow(row.map(neutralizeFormula)).commit());
+  });
+
+  // Committing waits for the stream to finish, which a destroyed stream never does
+  if (stream.destroyed) return;
+  worksheet.commit();
+  await workbook.commit();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatResponse,
+  loadResultsExport,
+  writeResultsCsv,
+  writeResultsXlsx
+};
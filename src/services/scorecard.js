@@ -0,0 +1,336 @@
+const PDFDocument = require('pdfkit');
+const { readImage } = require('../storage');
+const { hasResponse, parseOptionList, parseMatrixResponse } = require('./grading');
+const { buildAttemptLayout } = require('./shuffling');
+const { formatResponse } = require('./resultsExport');
+
+/**
+ * Scorecard and response sheet
+ *
+ * A PDF for a submitted attempt in the NTA layout: the candidate's photo and
+ * details, overall and section scores, then every question with its image,
+ * the response and the answer key. The PDF is rendered here; images are read
+ * from our own image storage.
+ */
+
+const PAGE_MARGIN = 40;
+const PHOTO_WIDTH = 90;
+const PHOTO_HEIGHT = 110;
+const ROW_HEIGHT = 18;
+const QUESTION_IMAGE_MAX_HEIGHT = 220;
+
+const STATUS_LABELS = {
+  ANSWERED: 'Answered',
+  MARKED_FOR_REVIEW: 'Marked for review',
+  NOT_ANSWERED: 'Not answered',
+  NOT_VISITED: 'Not visited'
+};
+
+/**
+ * Format the answer key of a question for the response sheet
+ * @param {Object} question - Question record
+ * @param {string} questionType - Type of the question's section
+ * @returns {string} - Key as shown to candidates
+ */
+function formatAnswerKey(question, questionType) {
+  if (question.status === 'DROPPED') return 'Dropped';
+  if (question.status === 'BONUS') return 'Bonus (full marks)';
+
+  let key = '';
+  if (questionType === 'MCQ') {
+    key = question.correctOption || '';
+  } else if (questionType === 'MULTI_MCQ') {
+    key = parseOptionList(question.correctOptions).join(',');
+  } else if (questionType === 'INTEGER') {
+    key = question.correctInteger === null ? '' : String(question.correctInteger);
+  } else if (questionType === 'NUMERICAL') {
+    if (question.answerRangeMin !== null && question.answerRangeMax !== null) {
+      key = `${question.answerRangeMin} to ${question.answerRangeMax}`;
+    } else if (question.correctValue !== null) {
+      const tolerance = question.tolerance !== null && Number(question.tolerance) > 0
+        ? ` ± ${question.tolerance}${question.toleranceType === 'RELATIVE' ? '%' : ''}`
+        : '';
+      key = `${question.correctValue}${tolerance}`;
+    }
+  } else if (questionType === 'MATRIX_MATCH') {
+    const matrixKey = parseMatrixResponse(question.matrixKey);
+    key = matrixKey
+      ? Object.keys(matrixKey).sort().map(row => `${row}-${matrixKey[row].join('')}`).join(' ')
+      : '';
+  }
+
+  if (question.status === 'MULTIPLE_KEYS' && Array.isArray(question.alternateKeys)) {
+    const alternates = question.alternateKeys.map(alternate => formatAnswerKey({ ...question, ...alternate, status: 'ACTIVE' }, questionType));
+    key = [key, ...alternates].join(' or ');
+  }
+
+  return key;
+}
+
+/**
+ * Summarize the answers of each section
+ * @param {Object} attempt - Attempt with `test.sections` (the pinned version) and answers
+ * @returns {Object[]} - Section rows with marks, counts and time
+ */
+function summarizeSections(attempt) {
+  return attempt.test.sections.map(section => {
+    const answers = attempt.answers.filter(answer => answer.question.sectionId === section.id);
+    const summary = {
+      name: section.name,
+      marks: attempt.sectionMarks?.[section.id] || 0,
+      correct: 0,
+      partial: 0,
+      wrong: 0,
+      unattempted: 0,
+      timeSpent: answers.reduce((sum, answer) => sum + answer.timeSpent, 0)
+    };
+
+    answers.forEach(answer => {
+      if (!hasResponse(answer)) summary.unattempted++;
+      else if (answer.isCorrect) summary.correct++;
+      else if (answer.isPartiallyCorrect) summary.partial++;
+      else if (answer.isCorrect === false) summary.wrong++;
+    });
+
+    return summary;
+  });
+}
+
+/**
+ * Download the images the PDF shows
+ * Images that cannot be fetched are left out rather than failing the PDF
+ * @param {string[]} urls - Image URLs
+ * @returns {Promise<Map<string, Buffer>>} - Image data by URL
+ */
+async function loadImages(urls) {
+  const images = new Map();
+  for (const url of new Set(urls.filter(Boolean))) {
+    try {
+      images.set(url, await readImage(url));
+    } catch (imageError) {
+      console.error('Error loading scorecard image:', imageError.message);
+    }
+  }
+  return images;
+}
+
+/**
+ * Start a new page when the next block does not fit
+ * @param {Object} doc - PDF document
+ * @param {number} height - Height of the next block
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+/**
+ * Draw one table row
+ * @param {Object} doc - PDF document
+ * @param {Object[]} columns - `{ width, align? }` per column
+ * @param {Array} values - Cell values
+ * @param {Object} [options] - `{ bold }` for header rows
+ */
+function drawRow(doc, columns, values, { bold = false } = {}) {
+  ensureSpace(doc, ROW_HEIGHT);
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  columns.forEach((column, index) => {
+    doc.rect(x, top, column.width, ROW_HEIGHT).stroke('#999999');
+    doc.fillColor('#000000').text(String(values[index] ?? ''), x + 4, top + 5, {
+      width: column.width - 8,
+      height: ROW_HEIGHT - 6,
+      align: column.align || 'left',
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += column.width;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + ROW_HEIGHT;
+}
+
+/**
+ * Draw an image scaled to fit a box, keeping its aspect ratio
+ * @param {Object} doc - PDF document
+ * @param {Buffer|undefined} image - Image data
+ * @param {Object} box - `{ x, y, width, height }` to fit into
+ * @param {Object} [options] - `{ enlarge }` to scale small images up to the box
+ * @returns {number} - Height drawn, or 0 when the image is missing or not a format PDFs support
+ */
+function drawImage(doc, image, box, { enlarge = false } = {}) {
+  if (!image) return 0;
+  try {
+    const opened = doc.openImage(image);
+    const scale = Math.min(box.width / opened.width, box.height / opened.height, enlarge ? Infinity : 1);
+    doc.image(opened, box.x, box.y, { width: opened.width * scale, height: opened.height * scale });
+    return opened.height * scale;
+  } catch (imageError) {
+    return 0;
+  }
+}
+
+/**
+ * Draw the scorecard page
+ * @param {Object} doc - PDF document
+ * @param {Object} attempt - Attempt with candidate, test, version and answers
+ * @param {Object} details - `{ standing, normalization, images }`
+ */
+function drawScorecard(doc, attempt, { standing, normalization, images }) {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const maxMarks = attempt.version?.totalMarks ?? attempt.test.totalMarks;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Score Card', { align: 'center' });
+  doc.font('Helvetica').fontSize(11).text(attempt.test.name, { align: 'center' });
+  doc.moveDown();
+
+  const top = doc.y;
+  const photoX = PAGE_MARGIN + contentWidth - PHOTO_WIDTH;
+  doc.rect(photoX, top, PHOTO_WIDTH, PHOTO_HEIGHT).stroke('#999999');
+  const photoBox = { x: photoX, y: top, width: PHOTO_WIDTH, height: PHOTO_HEIGHT };
+  if (!drawImage(doc, images.get(attempt.candidate.photo), photoBox, { enlarge: true })) {
+    doc.font('Helvetica').fontSize(8).text('Photo not available', photoX, top + PHOTO_HEIGHT / 2 - 4, { width: PHOTO_WIDTH, align: 'center' });
+  }
+
+  const details = [
+    ['Candidate', attempt.candidate.fullName],
+    ['Phone', attempt.candidate.phone || '-'],
+    ['Attempt ID', attempt.id],
+    ['Test date', attempt.startTime.toISOString().slice(0, 10)],
+    ['Submitted', attempt.endTime ? attempt.endTime.toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-'],
+    ['Paper version', attempt.version ? String(attempt.version.version) : '-']
+  ];
+  doc.y = top;
+  details.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true });
+    doc.font('Helvetica').text(value);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(doc.y, top + PHOTO_HEIGHT) + 20;
+
+  const resultColumns = [{ width: contentWidth / 2 }, { width: contentWidth / 2, align: 'right' }];
+  drawRow(doc, resultColumns, ['Result', ''], { bold: true });
+  drawRow(doc, resultColumns, ['Total marks', `${attempt.totalMarks} / ${maxMarks}`]);
+  if (standing) {
+    drawRow(doc, resultColumns, ['Rank', `${standing.rank} of ${standing.totalCandidates}`]);
+    drawRow(doc, resultColumns, ['Percentile', standing.percentile]);
+  }
+  if (normalization) {
+    drawRow(doc, resultColumns, ['Normalized score', normalization.normalizedScore]);
+    drawRow(doc, resultColumns, ['Merged rank', `${normalization.mergedRank} of ${normalization.totalCandidates}`]);
+  }
+  doc.moveDown();
+
+  const sectionWidth = (contentWidth - 200) / 6;
+  const sectionColumns = [
+    { width: 200 },
+    ...Array.from({ length: 6 }, () => ({ width: sectionWidth, align: 'right' }))
+  ];
+  drawRow(doc, sectionColumns, ['Section', 'Marks', 'Correct', 'Partial', 'Wrong', 'Unattempted', 'Time (min)'], { bold: true });
+  summarizeSections(attempt).forEach(section => {
+    drawRow(doc, sectionColumns, [
+      section.name,
+      section.marks,
+      section.correct,
+      section.partial,
+      section.wrong,
+      section.unattempted,
+      (section.timeSpent / 60).toFixed(1)
+    ]);
+  });
+}
+
+/**
+ * Draw the response sheet, one block per question
+ * @param {Object} doc - PDF document
+ * @param {Object} attempt - Attempt with `test.sections` (the pinned version) and answers
+ * @param {Map<string, Buffer>} images - Question images by URL
+ */
+function drawResponseSheet(doc, attempt, images) {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const answersByQuestion = new Map(attempt.answers.map(answer => [answer.questionId, answer]));
+  const layout = buildAttemptLayout(attempt, attempt.test.sections);
+  const columnWidth = contentWidth / 5;
+  const columns = Array.from({ length: 5 }, () => ({ width: columnWidth }));
+
+  doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(16).text('Response Sheet', { align: 'center' });
+  doc.moveDown(0.5);
+
+  attempt.test.sections.forEach(section => {
+    ensureSpace(doc, 40);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(13).text(section.name, PAGE_MARGIN);
+    doc.moveDown(0.3);
+
+    section.questions.forEach(question => {
+      const answer = answersByQuestion.get(question.id);
+      const displayNumber = layout.get(question.id)?.displayNumber;
+      const shownAs = displayNumber && displayNumber !== question.questionNumber ? ` (shown as Q${displayNumber})` : '';
+
+      ensureSpace(doc, ROW_HEIGHT * 2 + 30);
+      doc.font('Helvetica-Bold').fontSize(10).text(`Question ${question.questionNumber}${shownAs}`, PAGE_MARGIN);
+      doc.moveDown(0.2);
+
+      const image = images.get(question.questionImage);
+      if (image) {
+        ensureSpace(doc, QUESTION_IMAGE_MAX_HEIGHT);
+        const imageTop = doc.y;
+        const imageHeight = drawImage(doc, image, {
+          x: PAGE_MARGIN,
+          y: imageTop,
+          width: contentWidth,
+          height: QUESTION_IMAGE_MAX_HEIGHT
+        });
+        doc.x = PAGE_MARGIN;
+        doc.y = imageTop + imageHeight + 4;
+      }
+
+      drawRow(doc, columns, ['Status', 'Your answer', 'Correct answer', 'Marks', 'Time (s)'], { bold: true });
+      drawRow(doc, columns, [
+        STATUS_LABELS[answer?.status] || '-',
+        answer ? formatResponse(answer) || '-' : '-',
+        formatAnswerKey(question, section.questionType) || '-',
+        answer ? answer.marksAwarded : 0,
+        answer ? answer.timeSpent : 0
+      ]);
+      doc.moveDown(0.8);
+    });
+  });
+}
+
+/**
+ * Render the scorecard and response sheet of a submitted attempt
+ * @param {Object} attempt - Completed attempt with candidate, test, version and answers; `test.sections` are the pinned version's
+ * @param {Object} details - `{ standing, normalization }` from the results services
+ * @param {Object} stream - Writable stream (the response)
+ * @returns {Promise<void>} - Resolves once the PDF has been written
+ */
+async function renderScorecard(attempt, { standing = null, normalization = null }, stream) {
+  const images = await loadImages([
+    attempt.candidate.photo,
+    ...attempt.test.sections.flatMap(section => section.questions.map(question => question.questionImage))
+  ]);
+
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${attempt.test.name} - Score Card` } });
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  doc.pipe(stream);
+
+  drawScorecard(doc, attempt, { standing, normalization, images });
+  drawResponseSheet(doc, attempt, images);
+
+  doc.end();
+  await finished;
+}
+
+module.exports = {
+  formatAnswerKey,
+  renderScorecard
+};
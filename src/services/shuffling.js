@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { parseOptionList } = require('./grading');
+
+/**
+ * Per-attempt question and option shuffling
+ *
+ * A test can shuffle the questions of each section and permute the options of
+ * MCQ questions. Each attempt stores a random seed and the settings it started
+ * with, and its layout is derived from the seed and question IDs, so it stays
+ * the same on every request. Answers are always stored against canonical
+ * option labels; only an in-progress candidate sees and sends displayed labels.
+ */
+
+const OPTION_LABELS = ['A', 'B', 'C', 'D'];
+const SHUFFLED_OPTION_TYPES = ['MCQ', 'MULTI_MCQ'];
+
+/**
+ * Hash a seed and a key into a 32-bit integer
+ * @param {number} seed - Attempt seed
+ * @param {string} key - Value to mix in
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashSeed(seed, key) {
+  let hash = (seed ^ 0x9e3779b9) >>> 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x5bd1e995);
+    hash ^= hash >>> 15;
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle settings for a new attempt, copied from the test
+ * @param {Object} test - Test with `shuffleQuestions` and `shuffleOptions`
+ * @returns {{shuffleSeed: number|null, shuffleQuestions: boolean, shuffleOptions: boolean}} - Attempt fields
+ */
+function createShuffleSettings(test) {
+  const shuffleQuestions = Boolean(test.shuffleQuestions);
+  const shuffleOptions = Boolean(test.shuffleOptions);
+
+  return {
+    shuffleSeed: shuffleQuestions || shuffleOptions ? crypto.randomInt(0, 2 ** 31 - 1) : null,
+    shuffleQuestions,
+    shuffleOptions
+  };
+}
+
+/**
+ * Option order shown to an attempt for one question
+ * @param {Object} attempt - Attempt with shuffle settings
+ * @param {string} questionId - Question ID
+ * @param {string} questionType - Type of the question's section
+ * @returns {string[]|null} - Canonical labels in display order, or null when not permuted
+ */
+function getOptionOrder(attempt, questionId, questionType) {
+  if (!attempt.shuffleOptions || attempt.shuffleSeed === null || attempt.shuffleSeed === undefined) return null;
+  if (!SHUFFLED_OPTION_TYPES.includes(questionType)) return null;
+
+  const random = createRandom(hashSeed(attempt.shuffleSeed, `options:${questionId}`));
+  const order = [...OPTION_LABELS];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Order the questions of a section for an attempt
+ * Questions of a paragraph group stay together and keep their order
+ * @param {Object} attempt - Attempt with shuffle settings
+ * @param {Object[]} questions - Section questions in canonical order
+ * @returns {Object[]} - Questions in display order
+ */
+function orderSectionQuestions(attempt, questions) {
+  if (!attempt.shuffleQuestions || attempt.shuffleSeed === null || attempt.shuffleSeed === undefined) {
+    return questions;
+  }
+
+  const blocks = [];
+  for (const question of questions) {
+    const lastBlock = blocks[blocks.length - 1];
+    if (question.groupId && lastBlock?.groupId === question.groupId) {
+      lastBlock.questions.push(question);
+    } else {
+      blocks.push({
+        groupId: question.groupId || null,
+        sortKey: hashSeed(attempt.shuffleSeed, `question:${question.groupId || question.id}`),
+        questions: [question]
+      });
+    }
+  }
+
+  return blocks
+    .sort((a, b) => a.sortKey - b.sortKey)
+    .flatMap(block => block.questions);
+}
+
+/**
+ * Work out where each question of a test appears in an attempt
+ * @param {Object} attempt - Attempt with shuffle settings
+ * @param {Object[]} sections - Test sections with questions in canonical order
+ * @returns {Map<string, {displayNumber: number, optionOrder: string[]|null}>} - Layout by question ID
+ */
+function buildAttemptLayout(attempt, sections) {
+  const layout = new Map();
+
+  for (const section of sections) {
+    orderSectionQuestions(attempt, section.questions || []).forEach((question, index) => {
+      layout.set(question.id, {
+        displayNumber: index + 1,
+        optionOrder: getOptionOrder(attempt, question.id, section.questionType)
+      });
+    });
+  }
+
+  return layout;
+}
+
+/**
+ * Translate option labels between the displayed and canonical order
+ * @param {Object} answer - Answer with `selectedOption` / `selectedOptions`
+ * @param {string[]} from - Labels the answer uses, by position
+ * @param {string[]} to - Labels to translate into, by position
+ * @returns {Object} - Answer with translated selections
+ */
+function mapOptionLabels(answer, from, to) {
+  const mapLabel = (label) => {
+    const index = from.indexOf(String(label).trim().toUpperCase());
+    return index === -1 ? label : to[index];
+  };
+
+  const mapped = { ...answer };
+  if (answer.selectedOption) {
+    mapped.selectedOption = mapLabel(answer.selectedOption);
+  }
+  if (answer.selectedOptions !== undefined && answer.selectedOptions !== null) {
+    mapped.selectedOptions = parseOptionList(answer.selectedOptions).map(mapLabel);
+  }
+  return mapped;
+}
+
+/**
+ * Convert answers sent by a candidate from displayed to canonical option labels
+ * @param {Object} prisma - Prisma client
+ * @param {Object} attempt - Attempt with shuffle settings
+ * @param {Object[]} answers - Answers from the request, keyed by `questionId`
+ * @returns {Promise<Object[]>} - Answers with canonical labels
+ */
+async function toCanonicalAnswers(prisma, attempt, answers) {
+  if (!Array.isArray(answers) || !attempt.shuffleOptions || attempt.shuffleSeed === null) return answers;
+
+  const questions = await prisma.question.findMany({
+    where: { id: { in: answers.map(answer => answer.questionId) } },
+    select: { id: true, section: { select: { questionType: true } } }
+  });
+  const typesById = new Map(questions.map(question => [question.id, question.section.questionType]));
+
+  return answers.map(answer => {
+    const optionOrder = getOptionOrder(attempt, answer.questionId, typesById.get(answer.questionId));
+    return optionOrder ? mapOptionLabels(answer, OPTION_LABELS, optionOrder) : answer;
+  });
+}
+
+/**
+ * Add the attempt's layout to a loaded attempt
+ * Every question and answer gets `displayNumber` and `optionOrder`. For a
+ * candidate still taking the test, section questions are put in display order
+ * and saved selections use displayed labels, matching what they send back.
+ * @param {Object} attempt - Attempt with test sections and answers
+ * @param {Object} options - `{ asDisplayed }` to return the candidate's view
+ * @returns {Object} - Attempt with layout applied
+ */
+function applyAttemptLayout(attempt, { asDisplayed = false } = {}) {
+  if (!attempt?.test?.sections) return attempt;
+
+  const layout = buildAttemptLayout(attempt, attempt.test.sections);
+  const withLayout = (question) => ({ ...question, ...layout.get(question.id) });
+
+  const sections = attempt.test.sections.map(section => {
+    const questions = (section.questions || []).map(withLayout);
+    if (asDisplayed) questions.sort((a, b) => a.displayNumber - b.displayNumber);
+    return { ...section, questions };
+  });
+
+  const answers = attempt.answers?.map(answer => {
+    const placement = layout.get(answer.questionId) || { displayNumber: null, optionOrder: null };
+    const mapped = asDisplayed && placement.optionOrder
+      ? mapOptionLabels(answer, placement.optionOrder, OPTION_LABELS)
+      : answer;
+    return { ...mapped, ...placement };
+  });
+
+  return {
+    ...attempt,
+    test: { ...attempt.test, sections },
+    ...(answers && { answers })
+  };
+}
+
+module.exports = {
+  OPTION_LABELS,
+  createShuffleSettings,
+  getOptionOrder,
+  buildAttemptLayout,
+  toCanonicalAnswers,
+  applyAttemptLayout
+};
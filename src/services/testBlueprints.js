@@ -0,0 +1,363 @@
+const { QUESTION_TYPES, DIFFICULTIES } = require('./questionBank');
+
+/**
+ * Blueprint test generation
+ *
+ * A blueprint lists the sections of a test and, for each one, how many bank
+ * questions of a subject and type to pick, optionally limited to chapters or
+ * topics and split by difficulty percentages. Questions used in the most
+ * recent published tests can be excluded. The difficulty mix is relaxed when
+ * the pool is short; every constraint that could not be met is reported.
+ */
+
+const MAX_SECTION_QUESTIONS = 200;
+const MAX_RECENT_TESTS = 50;
+
+/**
+ * Read a list of names from an array or a "X/Y" or "X, Y" string
+ * @param {any} value - Raw list
+ * @returns {string[]} - Trimmed, non-empty names
+ */
+function parseNameList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const names = Array.isArray(value) ? value : String(value).split(/[,/]/);
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Validate the difficulty split of a blueprint section
+ * @param {any} input - `{ EASY?, MEDIUM?, HARD? }` percentages
+ * @returns {{difficulty?: Object, error?: string}} - Percentages by difficulty or validation error
+ */
+function parseDifficultyMix(input) {
+  if (input === undefined || input === null) return { difficulty: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'difficulty must map EASY, MEDIUM or HARD to a percentage' };
+  }
+
+  const difficulty = {};
+  for (const [level, value] of Object.entries(input)) {
+    const name = level.toUpperCase();
+    const percent = Number(value);
+    if (!DIFFICULTIES.includes(name)) {
+      return { error: `Unknown difficulty: ${level}` };
+    }
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      return { error: `${name} must be a percentage between 0 and 100` };
+    }
+    difficulty[name] = percent;
+  }
+
+  const total = Object.values(difficulty).reduce((sum, percent) => sum + percent, 0);
+  if (total > 100) {
+    return { error: 'Difficulty percentages cannot add up to more than 100' };
+  }
+
+  return { difficulty };
+}
+
+/**
+ * Validate a generation blueprint
+ * @param {Object} input - Request body
+ * @returns {{blueprint?: Object, error?: string}} - Parsed blueprint or validation error
+ */
+function parseBlueprint(input) {
+  const name = input.name?.trim();
+  if (!name) {
+    return { error: 'Test name is required' };
+  }
+
+  const duration = parseInt(input.duration, 10);
+  if (!Number.isInteger(duration) || duration <= 0) {
+    return { error: 'Duration must be a positive number of minutes' };
+  }
+
+  const excludeRecentTests = input.excludeRecentTests === undefined || input.excludeRecentTests === null
+    ? 0
+    : Number(input.excludeRecentTests);
+  if (!Number.isInteger(excludeRecentTests) || excludeRecentTests < 0 || excludeRecentTests > MAX_RECENT_TESTS) {
+    return { error: `excludeRecentTests must be a whole number from 0 to ${MAX_RECENT_TESTS}` };
+  }
+
+  if (!Array.isArray(input.sections) || input.sections.length === 0) {
+    return { error: 'Blueprint must have at least one section' };
+  }
+
+  const sections = [];
+  for (const [index, section] of input.sections.entries()) {
+    const location = `Section ${index + 1}`;
+    const subject = section.subject?.trim();
+    if (!subject) {
+      return { error: `${location}: subject is required` };
+    }
+    if (!QUESTION_TYPES.includes(section.questionType)) {
+      return { error: `${location}: question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+    }
+
+    const count = Number(section.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SECTION_QUESTIONS) {
+      return { error: `${location}: count must be between 1 and ${MAX_SECTION_QUESTIONS}` };
+    }
+
+    const { difficulty, error } = parseDifficultyMix(section.difficulty);
+    if (error) {
+      return { error: `${location}: ${error}` };
+    }
+
+    sections.push({
+      name: section.name?.trim() || `${subject} ${section.questionType}`,
+      subject,
+      questionType: section.questionType,
+      count,
+      chapters: parseNameList(section.chapters),
+      topics: parseNameList(section.topics),
+      difficulty,
+      markingScheme: section.markingScheme,
+      maxAnswered: section.maxAnswered
+    });
+  }
+
+  return {
+    blueprint: {
+      name,
+      duration,
+      excludeRecentTests,
+      markingScheme: input.markingScheme,
+      enableGraphicalAnalysis: input.enableGraphicalAnalysis,
+      sections
+    }
+  };
+}
+
+/**
+ * Shuffle a copy of an array
+ * @param {any[]} items - Items to shuffle
+ * @returns {any[]} - Shuffled copy
+ */
+function shuffle(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Case-insensitive match on any of the given names
+ * @param {string} field - Bank question field
+ * @param {string[]} names - Accepted values
+ * @returns {Object} - Prisma filter
+ */
+function anyOf(field, names) {
+  return { OR: names.map(name => ({ [field]: { equals: name, mode: 'insensitive' } })) };
+}
+
+/**
+ * Find bank questions used by the most recent published tests
+ * @param {Object} prisma - Prisma client
+ * @param {number} testCount - Number of recent tests to look at
+ * @returns {Promise<string[]>} - Bank question IDs
+ */
+async function findRecentlyUsedQuestions(prisma, testCount) {
+  if (testCount === 0) return [];
+
+  const recentTests = await prisma.test.findMany({
+    where: { isDraft: false },
+    orderBy: { createdAt: 'desc' },
+    take: testCount,
+    select: { id: true }
+  });
+  if (recentTests.length === 0) return [];
+
+  // Earlier versions count too; candidates may have sat them
+  const recentTestIds = recentTests.map(test => test.id);
+  const questions = await prisma.question.findMany({
+    where: {
+      bankQuestionId: { not: null },
+      section: {
+        OR: [
+          { testId: { in: recentTestIds } },
+          { version: { testId: { in: recentTestIds } } }
+        ]
+      }
+    },
+    select: { bankQuestionId: true },
+    distinct: ['bankQuestionId']
+  });
+
+  return questions.map(question => question.bankQuestionId);
+}
+
+/**
+ * Turn difficulty percentages into question counts
+ * Shares are rounded down and the questions left over go to the largest
+ * remainders, so the counts never add up to more than the section asks for
+ * @param {number} count - Questions in the section
+ * @param {Object} difficulty - Percent per difficulty
+ * @returns {Array<[string, number]>} - Requested questions per difficulty
+ */
+function splitDifficultyShares(count, difficulty) {
+  const shares = Object.entries(difficulty).map(([level, percent]) => {
+    const exact = count * percent / 100;
+    return { level, requested: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  const totalPercent = Object.values(difficulty).reduce((sum, percent) => sum + percent, 0);
+  const total = Math.min(count, Math.round(count * totalPercent / 100));
+  let leftover = total - shares.reduce((sum, share) => sum + share.requested, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(share => {
+      if (leftover > 0 && share.remainder > 0) {
+        share.requested++;
+        leftover--;
+      }
+    });
+
+  return shares.map(share => [share.level, share.requested]);
+}
+
+/**
+ * Pick the questions of one blueprint section from its pool
+ * @param {Object[]} pool - Candidate bank questions with `id` and `difficulty`
+ * @param {Object} section - Parsed blueprint section
+ * @returns {{picked: Object[], unmet: Object[]}} - Picked questions and unmet constraints
+ */
+function pickSectionQuestions(pool, section) {
+  const remaining = shuffle(pool);
+  const picked = [];
+  const unmet = [];
+
+  const take = (predicate, limit) => {
+    const taken = [];
+    for (let i = 0; i < remaining.length && taken.length < limit; ) {
+      if (predicate(remaining[i])) {
+        taken.push(...remaining.splice(i, 1));
+      } else {
+        i++;
+      }
+    }
+    picked.push(...taken);
+    return taken.length;
+  };
+
+  // Fill each requested difficulty share first
+  for (const [difficulty, requested] of splitDifficultyShares(section.count, section.difficulty)) {
+    const selected = take(question => question.difficulty === difficulty, requested);
+    if (selected < requested) {
+      unmet.push({
+        section: section.name,
+        constraint: 'difficulty',
+        difficulty,
+        requested,
+        selected,
+        message: `Only ${selected} of ${requested} ${difficulty} questions available; filled with other difficulties`
+      });
+    }
+  }
+
+  // The rest comes from difficulties the blueprint left open, then from anything left
+  const specified = Object.keys(section.difficulty);
+  take(question => !specified.includes(question.difficulty), section.count - picked.length);
+  take(() => true, section.count - picked.length);
+
+  return { picked, unmet };
+}
+
+/**
+ * Choose bank questions for every section of a blueprint
+ * Sections are returned in the shape createTest accepts, with questions that
+ * only carry `bankQuestionId`; run them through attachBankQuestions next
+ * @param {Object} prisma - Prisma client
+ * @param {Object} blueprint - Blueprint from parseBlueprint
+ * @returns {Promise<{sections: Object[], summary: Object[], unmetConstraints: Object[]}>} - Test sections and generation report
+ */
+async function assembleBlueprint(prisma, blueprint) {
+  const recentlyUsed = await findRecentlyUsedQuestions(prisma, blueprint.excludeRecentTests);
+  const usedIds = new Set();
+  const sections = [];
+  const summary = [];
+  const unmetConstraints = [];
+
+  for (const section of blueprint.sections) {
+    const filters = [
+      { subject: { equals: section.subject, mode: 'insensitive' } },
+      { questionType: section.questionType }
+    ];
+    if (section.chapters.length > 0) filters.push(anyOf('chapter', section.chapters));
+    if (section.topics.length > 0) filters.push(anyOf('topic', section.topics));
+
+    const pool = await prisma.bankQuestion.findMany({
+      where: {
+        AND: filters,
+        id: { notIn: [...recentlyUsed, ...usedIds] }
+      },
+      select: { id: true, difficulty: true }
+    });
+
+    const { picked, unmet } = pickSectionQuestions(pool, section);
+    picked.forEach(question => usedIds.add(question.id));
+    unmetConstraints.push(...unmet);
+
+    if (picked.length < section.count) {
+      // Explain whether the recent-use rule is what made the pool too small
+      const excludedAsRecent = recentlyUsed.length > 0
+        ? await prisma.bankQuestion.count({
+          where: { AND: filters, id: { in: recentlyUsed } }
+        })
+        : 0;
+      unmetConstraints.push({
+        section: section.name,
+        constraint: 'count',
+        requested: section.count,
+        selected: picked.length,
+        excludedAsRecent,
+        message: excludedAsRecent > 0
+          ? `Only ${picked.length} of ${section.count} questions available; ${excludedAsRecent} more were used in the last ${blueprint.excludeRecentTests} test(s)`
+          : `Only ${picked.length} of ${section.count} questions match this section`
+      });
+    }
+
+    summary.push({
+      section: section.name,
+      requested: section.count,
+      selected: picked.length,
+      byDifficulty: picked.reduce((counts, question) => {
+        const difficulty = question.difficulty || 'UNTAGGED';
+        counts[difficulty] = (counts[difficulty] || 0) + 1;
+        return counts;
+      }, {})
+    });
+
+    if (picked.length === 0) continue;
+
+    let maxAnswered = section.maxAnswered;
+    if (maxAnswered !== undefined && maxAnswered !== null && maxAnswered !== '' && Number(maxAnswered) > picked.length) {
+      unmetConstraints.push({
+        section: section.name,
+        constraint: 'maxAnswered',
+        requested: Number(maxAnswered),
+        selected: picked.length,
+        message: 'Answer limit dropped because the section has fewer questions than the limit'
+      });
+      maxAnswered = null;
+    }
+
+    sections.push({
+      name: section.name,
+      questionType: section.questionType,
+      isIntegerType: section.questionType === 'INTEGER',
+      markingScheme: section.markingScheme,
+      maxAnswered,
+      questions: picked.map(question => ({ bankQuestionId: question.id }))
+    });
+  }
+
+  return { sections, summary, unmetConstraints };
+}
+
+module.exports = {
+  parseBlueprint,
+  assembleBlueprint
+};
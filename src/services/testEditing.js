@@ -0,0 +1,280 @@
+const { toNullableJson, isSameJson } = require('../utils/prismaJson');
+const { prepareAnswerLimits } = require('./answerLimits');
+const { attachBankQuestions } = require('./questionBank');
+const { prepareAnswerKeys, toAnswerKeyData, isSameAnswerKey } = require('./answerKeys');
+const { applyMarkingSchemes } = require('./markingSchemes');
+const { prepareQuestionGroups, replaceSectionGroups } = require('./questionGroups');
+const { describeKeyChange } = require('./answerKeyRevisions');
+const { exportTestInclude, toKeyInput } = require('./testExport');
+const {
+  lockTest,
+  isKeyOnlyChange,
+  prepareWorkingCopy,
+  updatePublishedTotal
+} = require('./testVersions');
+
+/**
+ * Granular test editing
+ *
+ * Sections and questions can be edited one at a time by ID. The working copy
+ * is turned into the same shape as an update payload, the edit is applied to
+ * it, and the result goes through the checks of a full update. Only rows that
+ * actually differ are then written, keyed on their IDs.
+ */
+
+/**
+ * Describe stored sections in update payload form, keeping their IDs
+ * @param {Object[]} sections - Working sections with ordered groups and questions
+ * @returns {Object[]} - Editable sections
+ */
+function toEditableSections(sections) {
+  return sections.map(section => ({
+    id: section.id,
+    name: section.name,
+    questionType: section.questionType,
+    markingScheme: section.markingScheme,
+    maxAnswered: section.maxAnswered,
+    groups: section.groups.map(group => ({
+      id: group.id,
+      stemText: group.stemText,
+      stemImage: group.stemImage
+    })),
+    questions: section.questions.map(question => {
+      const groupIndex = section.groups.findIndex(group => group.id === question.groupId);
+      return {
+        id: question.id,
+        questionImage: question.questionImage,
+        solutionImage: question.solutionImage,
+        ...toKeyInput(question),
+        markingScheme: question.markingScheme,
+        bankQuestionId: question.bankQuestionId,
+        groupIndex: groupIndex === -1 ? null : groupIndex
+      };
+    })
+  }));
+}
+
+/**
+ * Run the checks of a full update on edited sections
+ * @param {Object} prisma - Prisma client
+ * @param {Object[]} sections - Editable sections, normalized in place
+ * @param {Object|null} testScheme - Stored marking scheme of the test
+ * @returns {Promise<{error?: string, totalMarks?: number}>} - Validation error or the new total
+ */
+async function validateEditableSections(prisma, sections, testScheme) {
+  const { error: limitError } = prepareAnswerLimits(sections);
+  if (limitError) return { error: limitError };
+
+  const { error: bankError } = await attachBankQuestions(prisma, sections);
+  if (bankError) return { error: bankError };
+
+  const { error: keyError } = prepareAnswerKeys(sections);
+  if (keyError) return { error: keyError };
+
+  const { error: markingError, totalMarks } = applyMarkingSchemes(sections, testScheme);
+  if (markingError) return { error: markingError };
+
+  const { error: groupError } = prepareQuestionGroups(sections);
+  if (groupError) return { error: groupError };
+
+  return { totalMarks };
+}
+
+/**
+ * Collect the image URLs used by sections
+ * @param {Object[]} sections - Stored or editable sections
+ * @returns {Set<string>} - Image URLs
+ */
+function collectSectionImages(sections) {
+  const urls = new Set();
+  sections.forEach(section => {
+    section.questions.forEach(question => {
+      if (question.questionImage) urls.add(question.questionImage);
+      if (question.solutionImage) urls.add(question.solutionImage);
+    });
+    section.groups.forEach(group => {
+      if (group.stemImage) urls.add(group.stemImage);
+    });
+  });
+  return urls;
+}
+
+/**
+ * Write validated sections, touching only rows that changed
+ * Sections and questions without an ID are created; stored ones missing from
+ * `sections` are deleted
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} testId - Test being edited
+ * @param {Object[]} sections - Sections from validateEditableSections
+ * @param {Object[]} storedSections - Current working sections with groups and questions
+ * @returns {Promise<{keyChanges: Object[]}>} - Changed keys of existing questions
+ */
+async function writeEditableSections(tx, testId, sections, storedSections) {
+  const keyChanges = [];
+  const storedById = new Map(storedSections.map(section => [section.id, section]));
+  const keptSectionIds = new Set(sections.map(section => section.id).filter(Boolean));
+
+  for (const storedSection of storedSections) {
+    if (!keptSectionIds.has(storedSection.id)) {
+      await tx.section.deleteMany({ where: { id: storedSection.id, testId } });
+    }
+  }
+
+  for (const [sectionIndex, section] of sections.entries()) {
+    const storedSection = section.id ? storedById.get(section.id) : null;
+    const sectionData = {
+      name: section.name,
+      questionType: section.questionType,
+      isIntegerType: section.questionType === 'INTEGER',
+      markingScheme: toNullableJson(section.markingScheme),
+      maxAnswered: section.maxAnswered,
+      order: sectionIndex
+    };
+
+    let sectionId;
+    if (!storedSection) {
+      const createdSection = await tx.section.create({ data: { ...sectionData, testId } });
+      sectionId = createdSection.id;
+    } else {
+      sectionId = storedSection.id;
+      if (
+        storedSection.name !== section.name ||
+        storedSection.questionType !== section.questionType ||
+        storedSection.maxAnswered !== section.maxAnswered ||
+        storedSection.order !== sectionIndex ||
+        !isSameJson(storedSection.markingScheme, section.markingScheme)
+      ) {
+        await tx.section.updateMany({ where: { id: sectionId, testId }, data: sectionData });
+      }
+    }
+
+    const storedQuestions = storedSection?.questions || [];
+    const keptQuestionIds = new Set(section.questions.map(question => question.id).filter(Boolean));
+    for (const storedQuestion of storedQuestions) {
+      if (!keptQuestionIds.has(storedQuestion.id)) {
+        await tx.question.deleteMany({ where: { id: storedQuestion.id, section: { testId } } });
+      }
+    }
+
+    for (const [questionIndex, question] of section.questions.entries()) {
+      const storedQuestion = question.id ? storedQuestions.find(stored => stored.id === question.id) : null;
+      const questionData = {
+        questionNumber: questionIndex + 1,
+        questionImage: question.questionImage || null,
+        solutionImage: question.solutionImage || null,
+        ...toAnswerKeyData(question.answerKey),
+        marks: question.marks,
+        negativeMarks: question.negativeMarks,
+        markingScheme: toNullableJson(question.markingScheme),
+        bankQuestionId: question.bankQuestionId || null
+      };
+
+      if (!storedQuestion) {
+        await tx.question.create({ data: { ...questionData, sectionId } });
+        continue;
+      }
+
+      const sameKey = isSameAnswerKey(storedQuestion, question.answerKey);
+      if (!sameKey) {
+        keyChanges.push(describeKeyChange(storedQuestion, section.name, question.answerKey));
+      }
+
+      if (
+        !sameKey ||
+        storedQuestion.questionNumber !== questionData.questionNumber ||
+        storedQuestion.questionImage !== questionData.questionImage ||
+        storedQuestion.solutionImage !== questionData.solutionImage ||
+        storedQuestion.marks !== questionData.marks ||
+        storedQuestion.negativeMarks !== questionData.negativeMarks ||
+        storedQuestion.bankQuestionId !== questionData.bankQuestionId ||
+        !isSameJson(storedQuestion.markingScheme, question.markingScheme)
+      ) {
+        await tx.question.updateMany({ where: { id: storedQuestion.id, section: { testId } }, data: questionData });
+      }
+    }
+
+    // Groups are rebuilt only when a passage or its questions changed
+    const storedGroups = (storedSection?.groups || []).map(group => ({
+      stemText: group.stemText || null,
+      stemImage: group.stemImage || null,
+      questionIds: storedQuestions.filter(question => question.groupId === group.id).map(question => question.id)
+    }));
+    const groups = section.groups.map(group => ({
+      stemText: group.stemText,
+      stemImage: group.stemImage,
+      questionIds: group.questionIndexes.map(index => section.questions[index].id || null)
+    }));
+    if (!storedSection || !isSameJson(storedGroups, groups)) {
+      await replaceSectionGroups(tx, sectionId, section.groups);
+    }
+  }
+
+  return { keyChanges };
+}
+
+// Drop stored IDs so every row is created again
+const withoutIds = ({ id, ...section }) => ({
+  ...section,
+  questions: section.questions.map(({ id: questionId, ...question }) => question)
+});
+
+// Whether every section and question still refers to the stored row at its position
+const matchesStoredRows = (sections, storedSections) => {
+  return sections.every((section, sectionIndex) => {
+    const storedSection = storedSections[sectionIndex];
+    return storedSection?.id === section.id &&
+      section.questions.every((question, questionIndex) => storedSection.questions[questionIndex]?.id === question.id);
+  });
+};
+
+/**
+ * Save validated sections as the working copy of a test
+ * The working copy is read again under the test lock, so an edit built from
+ * an earlier read is compared with, and written over, the current rows. A
+ * working copy that attempts were taken on is detached and rebuilt, giving
+ * its sections and questions new IDs.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} testId - Test being edited
+ * @param {Object[]} sections - Sections from validateEditableSections
+ * @param {Object} details - `totalMarks` from validateEditableSections and uploaded `files`
+ * @returns {Promise<{storedSections: Object[], keyChanges: Object[]}>} - Working sections before the edit and changed keys
+ */
+async function saveWorkingCopy(tx, testId, sections, { totalMarks, files = [] }) {
+  await lockTest(tx, testId);
+
+  const storedTest = await tx.test.findUnique({
+    where: { id: testId },
+    include: exportTestInclude
+  });
+  const storedSections = storedTest.sections;
+
+  // An edit of a working copy that has been rebuilt since is never a key correction
+  const keyOnly = matchesStoredRows(sections, storedSections) && isKeyOnlyChange(storedSections, sections, files);
+  const { detached } = await prepareWorkingCopy(tx, testId, keyOnly);
+  const { keyChanges } = await writeEditableSections(
+    tx,
+    testId,
+    detached ? sections.map(withoutIds) : sections,
+    detached ? [] : storedSections
+  );
+
+  if (totalMarks !== storedTest.totalMarks) {
+    await tx.test.update({
+      where: { id: testId },
+      data: { totalMarks }
+    });
+  }
+  if (keyOnly) {
+    await updatePublishedTotal(tx, testId, totalMarks);
+  }
+
+  return { storedSections, keyChanges };
+}
+
+module.exports = {
+  toEditableSections,
+  validateEditableSections,
+  collectSectionImages,
+  writeEditableSections,
+  saveWorkingCopy
+};
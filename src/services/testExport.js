@@ -0,0 +1,223 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { readImage } = require('../storage');
+const { PACKAGE_FORMAT, PACKAGE_VERSION } = require('./testImport');
+
+/**
+ * Test export and cloning
+ *
+ * An export is an import package (see testImport) holding `manifest.json`
+ * and every image the test uses, so it can be imported into any environment.
+ * A clone copies the structure into a new draft that shares the original's
+ * image URLs; images are only deleted once no test refers to them.
+ */
+
+const DECIMAL_KEY_FIELDS = ['correctValue', 'answerRangeMin', 'answerRangeMax', 'tolerance'];
+
+// Prisma include for everything an export or clone copies
+const exportTestInclude = {
+  sections: {
+    include: {
+      groups: { orderBy: { order: 'asc' } },
+      questions: { orderBy: { questionNumber: 'asc' } }
+    },
+    orderBy: { order: 'asc' }
+  }
+};
+
+/**
+ * Copy the answer key of a stored question in request form
+ * @param {Object} question - Question record
+ * @returns {Object} - Key fields accepted by buildAnswerKey
+ */
+function toKeyInput(question) {
+  const key = {
+    correctOption: question.correctOption,
+    correctOptions: question.correctOptions,
+    correctInteger: question.correctInteger,
+    toleranceType: question.toleranceType,
+    matrixRows: question.matrixRows,
+    matrixColumns: question.matrixColumns,
+    matrixKey: question.matrixKey,
+    status: question.status,
+    alternateKeys: question.alternateKeys
+  };
+  DECIMAL_KEY_FIELDS.forEach(field => {
+    key[field] = question[field] === null || question[field] === undefined ? null : question[field].toString();
+  });
+  return key;
+}
+
+/**
+ * Describe a stored test in the manifest format
+ * @param {Object} test - Test loaded with exportTestInclude
+ * @param {Function} imageRef - Maps a stored image URL to the value to write
+ * @returns {Object} - Test definition in createTest shape
+ */
+function describeTest(test, imageRef) {
+  return {
+    name: test.name,
+    duration: test.duration,
+    markingScheme: test.markingScheme,
+    enableGraphicalAnalysis: test.enableGraphicalAnalysis,
+    stopAfterFirstSubmission: test.stopAfterFirstSubmission,
+    shuffleQuestions: test.shuffleQuestions,
+    shuffleOptions: test.shuffleOptions,
+    sections: test.sections.map(section => ({
+      name: section.name,
+      questionType: section.questionType,
+      markingScheme: section.markingScheme,
+      maxAnswered: section.maxAnswered,
+      groups: section.groups.map(group => ({
+        stemText: group.stemText,
+        stemImage: imageRef(group.stemImage)
+      })),
+      questions: section.questions.map(question => {
+        const groupIndex = section.groups.findIndex(group => group.id === question.groupId);
+        return {
+          questionImage: imageRef(question.questionImage),
+          solutionImage: imageRef(question.solutionImage),
+          ...toKeyInput(question),
+          markingScheme: question.markingScheme,
+          ...(groupIndex !== -1 && { groupIndex })
+        };
+      })
+    }))
+  };
+}
+
+/**
+ * Build the export package of a test
+ * @param {Object} test - Test loaded with exportTestInclude
+ * @returns {Promise<Buffer>} - ZIP file contents
+ */
+async function buildExportPackage(test) {
+  const zip = new AdmZip();
+  const imagePaths = new Map();
+
+  const imageRef = (url) => {
+    if (!url) return null;
+    if (!imagePaths.has(url)) {
+      const extension = path.posix.extname(new URL(url, 'http://localhost').pathname) || '.png';
+      imagePaths.set(url, `images/image-${imagePaths.size + 1}${extension.toLowerCase()}`);
+    }
+    return imagePaths.get(url);
+  };
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...describeTest(test, imageRef)
+  };
+
+  for (const [url, imagePath] of imagePaths) {
+    zip.addFile(imagePath, await readImage(url));
+  }
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+
+  return zip.toBuffer();
+}
+
+/**
+ * Copy a test into a new draft
+ * New sections, questions and groups are created; image URLs are shared
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} test - Test loaded with exportTestInclude
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object>} - Created test with sections, groups and questions
+ */
+async function cloneTest(tx, test, name) {
+  const createdTest = await tx.test.create({
+    data: {
+      name,
+      duration: test.duration,
+      totalMarks: test.totalMarks,
+      markingScheme: test.markingScheme ?? undefined,
+      enableGraphicalAnalysis: test.enableGraphicalAnalysis,
+      stopAfterFirstSubmission: test.stopAfterFirstSubmission,
+      shuffleQuestions: test.shuffleQuestions,
+      shuffleOptions: test.shuffleOptions,
+      isDraft: true,
+      sections: {
+        create: test.sections.map(section => ({
+          name: section.name,
+          questionType: section.questionType,
+          isIntegerType: section.isIntegerType,
+          markingScheme: section.markingScheme ?? undefined,
+          maxAnswered: section.maxAnswered,
+          order: section.order,
+          questions: {
+            create: section.questions.map(question => ({
+              questionNumber: question.questionNumber,
+              questionImage: question.questionImage,
+              solutionImage: question.solutionImage,
+              correctOption: question.correctOption,
+              correctOptions: question.correctOptions,
+              correctInteger: question.correctInteger,
+              correctValue: question.correctValue,
+              answerRangeMin: question.answerRangeMin,
+              answerRangeMax: question.answerRangeMax,
+              tolerance: question.tolerance,
+              toleranceType: question.toleranceType,
+              matrixRows: question.matrixRows,
+              matrixColumns: question.matrixColumns,
+              matrixKey: question.matrixKey ?? undefined,
+              status: question.status,
+              alternateKeys: question.alternateKeys ?? undefined,
+              marks: question.marks,
+              negativeMarks: question.negativeMarks,
+              markingScheme: question.markingScheme ?? undefined,
+              bankQuestionId: question.bankQuestionId
+            }))
+          }
+        }))
+      }
+    },
+    include: {
+      sections: {
+        select: { id: true, order: true },
+        orderBy: { order: 'asc' }
+      }
+    }
+  });
+
+  // Recreate paragraph groups and point the copied questions at them
+  for (const [sectionIndex, section] of test.sections.entries()) {
+    const sectionId = createdTest.sections[sectionIndex].id;
+    for (const group of section.groups) {
+      const createdGroup = await tx.questionGroup.create({
+        data: {
+          order: group.order,
+          stemText: group.stemText,
+          stemImage: group.stemImage,
+          sectionId
+        }
+      });
+
+      await tx.question.updateMany({
+        where: {
+          sectionId,
+          questionNumber: {
+            in: section.questions
+              .filter(question => question.groupId === group.id)
+              .map(question => question.questionNumber)
+          }
+        },
+        data: { groupId: createdGroup.id }
+      });
+    }
+  }
+
+  return await tx.test.findUnique({
+    where: { id: createdTest.id },
+    include: exportTestInclude
+  });
+}
+
+module.exports = {
+  exportTestInclude,
+  toKeyInput,
+  buildExportPackage,
+  cloneTest
+};
@@ -0,0 +1,381 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { QUESTION_TYPES } = require('./questionBank');
+const { buildAnswerKey } = require('./answerKeys');
+
+/**
+ * Test import packages
+ *
+ * A package is a ZIP holding the test definition and its images. The
+ * definition is either `manifest.json` (sections and questions in the same
+ * shape as the createTest payload, with image paths instead of uploads) or an
+ * answer-key CSV with one row per question. The whole package is checked
+ * before anything is uploaded, and every problem found is reported.
+ */
+
+// Packages written by exportTest are tagged so newer formats are refused
+const PACKAGE_FORMAT = 'jee-test-package';
+const PACKAGE_VERSION = 1;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif'];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_PACKAGE_SIZE = 500 * 1024 * 1024;
+const CSV_COLUMNS = [
+  'section',
+  'questionType',
+  'questionNumber',
+  'questionImage',
+  'solutionImage',
+  'answer',
+  'tolerance',
+  'toleranceType',
+  'matrixRows',
+  'matrixColumns',
+  'status'
+];
+
+/**
+ * Parse CSV text into rows of cells
+ * Supports quoted cells with commas, newlines and doubled quotes
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Split a list cell such as "A;C" or "P, Q"
+ * @param {string} value - Cell text
+ * @returns {string[]} - Items
+ */
+function splitList(value) {
+  return String(value || '').split(/[;,|\s]+/).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Turn the answer cell of a CSV row into key fields for its question type
+ * MCQ "B", MULTI_MCQ "A;C", INTEGER "7", NUMERICAL "2.5" or "2.4..2.6",
+ * MATRIX_MATCH "A:P,Q;B:R"
+ * @param {string} questionType - Section question type
+ * @param {string} answer - Answer cell
+ * @returns {Object} - Key fields for buildAnswerKey
+ */
+function parseCsvAnswer(questionType, answer) {
+  const value = String(answer || '').trim();
+
+  switch (questionType) {
+  case 'MCQ':
+    return { correctOption: value.toUpperCase() || null };
+  case 'MULTI_MCQ':
+    return { correctOptions: splitList(value.toUpperCase()) };
+  case 'INTEGER':
+    return { correctInteger: value };
+  case 'NUMERICAL': {
+    const [min, max] = value.split('..');
+    return max === undefined
+      ? { correctValue: value }
+      : { answerRangeMin: min.trim(), answerRangeMax: max.trim() };
+  }
+  case 'MATRIX_MATCH': {
+    const matrixKey = {};
+    value.split(';').filter(Boolean).forEach(entry => {
+      const [row, columns] = entry.split(':');
+      if (row && columns) matrixKey[row.trim().toUpperCase()] = splitList(columns.toUpperCase());
+    });
+    return { matrixKey };
+  }
+  default:
+    return {};
+  }
+}
+
+/**
+ * Build test sections from an answer-key CSV
+ * Rows are grouped into sections by the `section` column, in order of first appearance
+ * @param {string} text - CSV text
+ * @param {Object[]} errors - Error report to add to
+ * @returns {Object[]} - Sections in createTest shape, with image paths
+ */
+function sectionsFromCsv(text, errors) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    errors.push({ location: 'answer key', message: 'The CSV file is empty' });
+    return [];
+  }
+
+  const columns = header.map(name => {
+    const normalized = name.trim().toLowerCase();
+    return CSV_COLUMNS.find(column => column.toLowerCase() === normalized) || null;
+  });
+  for (const required of ['section', 'questionType', 'answer']) {
+    if (!columns.includes(required)) {
+      errors.push({ location: 'answer key', message: `Missing column: ${required}` });
+    }
+  }
+  if (errors.length > 0) return [];
+
+  const sections = new Map();
+  rows.forEach((cells, rowIndex) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      if (column) row[column] = (cells[index] || '').trim();
+    });
+
+    const location = `CSV row ${rowIndex + 2}`;
+    if (!row.section) {
+      errors.push({ location, message: 'Section name is required' });
+      return;
+    }
+
+    const questionType = row.questionType.toUpperCase();
+    if (!sections.has(row.section)) {
+      sections.set(row.section, { name: row.section, questionType, questions: [] });
+    }
+    const section = sections.get(row.section);
+    if (section.questionType !== questionType) {
+      errors.push({ location, message: `Section "${row.section}" mixes ${section.questionType} and ${questionType} questions` });
+      return;
+    }
+
+    section.questions.push({
+      sortNumber: row.questionNumber ? Number(row.questionNumber) : section.questions.length + 1,
+      location,
+      questionImage: row.questionImage || null,
+      solutionImage: row.solutionImage || null,
+      ...parseCsvAnswer(questionType, row.answer),
+      tolerance: row.tolerance || null,
+      toleranceType: row.toleranceType ? row.toleranceType.toUpperCase() : undefined,
+      matrixRows: row.matrixRows ? splitList(row.matrixRows.toUpperCase()) : undefined,
+      matrixColumns: row.matrixColumns ? splitList(row.matrixColumns.toUpperCase()) : undefined,
+      status: row.status || undefined
+    });
+  });
+
+  return [...sections.values()].map(section => ({
+    ...section,
+    questions: section.questions.sort((a, b) => a.sortNumber - b.sortNumber)
+  }));
+}
+
+/**
+ * Index the files of a ZIP by their path inside the package
+ * A package zipped from a folder is read from inside that folder
+ * @param {AdmZip} zip - Opened package
+ * @returns {{files: Map<string, Object>, totalSize: number}} - Entries by path and uncompressed size
+ */
+function indexPackageFiles(zip) {
+  const entries = zip.getEntries().filter(entry =>
+    !entry.isDirectory &&
+    !entry.entryName.startsWith('__MACOSX/') &&
+    !path.posix.basename(entry.entryName).startsWith('.')
+  );
+
+  const names = entries.map(entry => entry.entryName.replace(/\\/g, '/'));
+  const topFolders = new Set(names.map(name => name.split('/')[0]));
+  const prefix = topFolders.size === 1 && names.every(name => name.includes('/'))
+    ? `${[...topFolders][0]}/`
+    : '';
+
+  const files = new Map();
+  let totalSize = 0;
+  entries.forEach((entry, index) => {
+    files.set(names[index].slice(prefix.length), entry);
+    totalSize += entry.header.size;
+  });
+
+  return { files, totalSize };
+}
+
+/**
+ * Find a package image referenced by a manifest or CSV
+ * Bare file names are also looked up in `images/`
+ * @param {Map<string, Object>} files - Package files
+ * @param {string} imagePath - Path as written in the definition
+ * @returns {string|null} - Normalized path of the file, if present
+ */
+function resolveImagePath(files, imagePath) {
+  const normalized = path.posix.normalize(String(imagePath).replace(/\\/g, '/')).replace(/^(\.\/|\/)+/, '');
+  if (files.has(normalized)) return normalized;
+  if (files.has(`images/${normalized}`)) return `images/${normalized}`;
+  return null;
+}
+
+/**
+ * Read and validate an import package
+ * Returns the sections with image paths resolved to package files, every
+ * error found and warnings that do not block the import
+ * @param {Buffer} buffer - ZIP file contents
+ * @param {Object} overrides - Test fields from the request (`name`, `duration`, `markingScheme`)
+ * @returns {{test?: Object, images?: Map<string, {entry: Object, imageType: string}>, errors: Object[], warnings: Object[]}} - Parsed package and report
+ */
+function readImportPackage(buffer, overrides = {}) {
+  const errors = [];
+  const warnings = [];
+
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    return { errors: [{ location: 'package', message: 'The file is not a valid ZIP archive' }], warnings };
+  }
+
+  const { files, totalSize } = indexPackageFiles(zip);
+  if (totalSize > MAX_PACKAGE_SIZE) {
+    return { errors: [{ location: 'package', message: 'The package is too large once extracted' }], warnings };
+  }
+
+  // The test definition: manifest.json, or the only CSV at the top level
+  let manifest = {};
+  let sections = [];
+  const csvFiles = [...files.keys()].filter(name => !name.includes('/') && name.toLowerCase().endsWith('.csv'));
+
+  if (files.has('manifest.json')) {
+    try {
+      manifest = JSON.parse(files.get('manifest.json').getData().toString('utf8'));
+      sections = Array.isArray(manifest.sections) ? manifest.sections : [];
+    } catch (error) {
+      errors.push({ location: 'manifest.json', message: `Invalid JSON: ${error.message}` });
+    }
+    if (manifest.format !== undefined && manifest.format !== PACKAGE_FORMAT) {
+      errors.push({ location: 'manifest.json', message: `Unknown package format: ${manifest.format}` });
+    }
+    if (manifest.version !== undefined && !(Number(manifest.version) <= PACKAGE_VERSION)) {
+      errors.push({ location: 'manifest.json', message: `Package version ${manifest.version} is newer than this server supports (${PACKAGE_VERSION})` });
+    }
+  } else if (csvFiles.length === 1) {
+    sections = sectionsFromCsv(files.get(csvFiles[0]).getData().toString('utf8'), errors);
+  } else if (csvFiles.length > 1) {
+    errors.push({ location: 'package', message: `Found ${csvFiles.length} CSV files; include exactly one answer key` });
+  } else {
+    errors.push({ location: 'package', message: 'The package needs a manifest.json or an answer-key CSV' });
+  }
+
+  const test = {
+    name: (overrides.name || manifest.name || '').trim(),
+    duration: parseInt(overrides.duration || manifest.duration, 10),
+    markingScheme: overrides.markingScheme || manifest.markingScheme,
+    enableGraphicalAnalysis: manifest.enableGraphicalAnalysis,
+    stopAfterFirstSubmission: manifest.stopAfterFirstSubmission === true,
+    shuffleQuestions: manifest.shuffleQuestions === true,
+    shuffleOptions: manifest.shuffleOptions === true,
+    sections
+  };
+
+  if (!test.name) {
+    errors.push({ location: 'test', message: 'Test name is required' });
+  }
+  if (!Number.isInteger(test.duration) || test.duration <= 0) {
+    errors.push({ location: 'test', message: 'Duration must be a positive number of minutes' });
+  }
+  if (sections.length === 0 && errors.length === 0) {
+    errors.push({ location: 'test', message: 'The package has no sections' });
+  }
+
+  const images = new Map();
+  const useImage = (imagePath, location, field, imageType) => {
+    if (!imagePath) return null;
+
+    const resolved = resolveImagePath(files, imagePath);
+    if (!resolved) {
+      errors.push({ location, message: `${field} not found in package: ${imagePath}` });
+      return null;
+    }
+    const entry = files.get(resolved);
+    if (!IMAGE_EXTENSIONS.includes(path.posix.extname(resolved).toLowerCase())) {
+      errors.push({ location, message: `${field} must be a JPEG, PNG or GIF image: ${imagePath}` });
+    } else if (entry.header.size > MAX_IMAGE_SIZE) {
+      errors.push({ location, message: `${field} is larger than 10MB: ${imagePath}` });
+    }
+    images.set(resolved, { entry, imageType: images.get(resolved)?.imageType || imageType });
+    return resolved;
+  };
+
+  for (const [sectionIndex, section] of sections.entries()) {
+    const sectionLocation = `Section ${sectionIndex + 1}${section.name ? ` (${section.name})` : ''}`;
+
+    if (!section.name || !String(section.name).trim()) {
+      errors.push({ location: sectionLocation, message: 'Section name is required' });
+    }
+    if (!QUESTION_TYPES.includes(section.questionType)) {
+      errors.push({ location: sectionLocation, message: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` });
+      continue;
+    }
+    if (!Array.isArray(section.questions) || section.questions.length === 0) {
+      errors.push({ location: sectionLocation, message: 'Section has no questions' });
+      continue;
+    }
+
+    section.groups = (Array.isArray(section.groups) ? section.groups : []).map((group, groupIndex) => ({
+      ...group,
+      stemImage: useImage(group.stemImage, `${sectionLocation}, group ${groupIndex + 1}`, 'Stem image', 'stem')
+    }));
+
+    section.questions.forEach((question, questionIndex) => {
+      const location = question.location || `${sectionLocation}, question ${questionIndex + 1}`;
+      delete question.location;
+      delete question.sortNumber;
+
+      if (!question.questionImage) {
+        warnings.push({ location, message: 'Question has no image' });
+      }
+      question.questionImage = useImage(question.questionImage, location, 'Question image', 'question');
+      question.solutionImage = useImage(question.solutionImage, location, 'Solution image', 'solution');
+
+      const { error } = buildAnswerKey(question, section.questionType);
+      if (error) {
+        errors.push({ location, message: error });
+      }
+    });
+  }
+
+  [...files.keys()]
+    .filter(name => IMAGE_EXTENSIONS.includes(path.posix.extname(name).toLowerCase()) && !images.has(name))
+    .forEach(name => warnings.push({ location: name, message: 'Image is not used by any question' }));
+
+  return { test, images, errors, warnings };
+}
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  parseCsv,
+  readImportPackage
+};
@@ -0,0 +1,145 @@
+const { getPrismaClient } = require('../utils/dbHealthCheck');
+
+/**
+ * Scheduled test windows
+ *
+ * A test may have an opening time, a closing time and a latest start time.
+ * The scheduler puts a test live when it opens and takes it offline when it
+ * closes. A test is opened once per opening time (tracked by `openedAt`), so
+ * an admin can still take it offline early. New attempts must start between
+ * the opening and the latest start time; attempts never run past closing.
+ */
+
+const SCHEDULE_FIELDS = ['opensAt', 'closesAt', 'latestStartAt'];
+let isRunning = false;
+
+/**
+ * Parse a schedule time from a request
+ * @param {any} value - ISO date string, timestamp or empty
+ * @returns {Date|null|undefined} - Date, null when empty, undefined when invalid
+ */
+function parseScheduleDate(value) {
+  if (value === null || value === undefined || value === '' || value === 'null') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validate the schedule of a test payload
+ * @param {Object} input - Request body with `opensAt`, `closesAt` and `latestStartAt`
+ * @returns {{schedule?: Object, error?: string}} - Parsed schedule or validation error
+ */
+function parseTestSchedule(input) {
+  const schedule = {};
+
+  for (const field of SCHEDULE_FIELDS) {
+    const date = parseScheduleDate(input[field]);
+    if (date === undefined) {
+      return { error: `${field} must be a valid date` };
+    }
+    schedule[field] = date;
+  }
+
+  const { opensAt, closesAt, latestStartAt } = schedule;
+
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    return { error: 'Closing time must be after the opening time' };
+  }
+  if (latestStartAt && opensAt && latestStartAt < opensAt) {
+    return { error: 'Latest start time cannot be before the opening time' };
+  }
+  if (latestStartAt && closesAt && latestStartAt > closesAt) {
+    return { error: 'Latest start time cannot be after the closing time' };
+  }
+
+  return { schedule };
+}
+
+/**
+ * Check whether a candidate may start (or resume) a test now
+ * @param {Object} test - Test with schedule fields
+ * @param {boolean} isResume - True when continuing an existing attempt
+ * @param {Date} now - Current server time
+ * @returns {{error: string, code: string}|null} - Reason the attempt is refused, if any
+ */
+function getStartWindowError(test, isResume, now = new Date()) {
+  if (test.opensAt && now < new Date(test.opensAt)) {
+    return { error: 'This test has not opened yet', code: 'TEST_NOT_OPEN' };
+  }
+  if (test.closesAt && now >= new Date(test.closesAt)) {
+    return { error: 'This test has closed', code: 'TEST_CLOSED' };
+  }
+  if (!isResume && test.latestStartAt && now > new Date(test.latestStartAt)) {
+    return { error: 'The last time to start this test has passed', code: 'START_WINDOW_CLOSED' };
+  }
+  return null;
+}
+
+/**
+ * Open tests whose opening time has arrived and close tests whose window has ended
+ * @returns {Promise<{opened: number, closed: number}>} - Number of tests changed
+ */
+async function runTestScheduler() {
+  if (isRunning) return { opened: 0, closed: 0 };
+  isRunning = true;
+
+  const prisma = getPrismaClient();
+  let opened = 0;
+  let closed = 0;
+
+  try {
+    const now = new Date();
+
+    const openResult = await prisma.test.updateMany({
+      where: {
+        isDraft: false,
+        openedAt: null,
+        opensAt: { lte: now },
+        OR: [
+          { closesAt: null },
+          { closesAt: { gt: now } }
+        ]
+      },
+      data: {
+        isLive: true,
+        openedAt: now
+      }
+    });
+    opened = openResult.count;
+
+    const closeResult = await prisma.test.updateMany({
+      where: {
+        isLive: true,
+        closesAt: { lte: now }
+      },
+      data: { isLive: false }
+    });
+    closed = closeResult.count;
+
+    if (opened > 0 || closed > 0) {
+      console.log(`📅 Scheduler opened ${opened} and closed ${closed} test(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Test scheduler run failed:', error.message);
+  } finally {
+    isRunning = false;
+  }
+
+  return { opened, closed };
+}
+
+/**
+ * Start periodic schedule checks
+ */
+function startTestScheduler(intervalMs = 60000) {
+  console.log('📅 Starting test scheduler...');
+  runTestScheduler();
+  setInterval(runTestScheduler, intervalMs);
+}
+
+module.exports = {
+  parseTestSchedule,
+  getStartWindowError,
+  runTestScheduler,
+  startTestScheduler
+};
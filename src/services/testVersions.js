@@ -0,0 +1,227 @@
+const { isSameJson } = require('../utils/prismaJson');
+
+/**
+ * Test versions
+ *
+ * `Test.sections` is the working copy that the editor changes. Publishing
+ * tags the working copy's sections with a new `TestVersion`; this happens
+ * whenever a test goes live (or is saved while live) and, at the latest, when
+ * a candidate starts it. Every attempt is pinned to the version it started
+ * on. Once a version has attempts its sections are never rewritten: the next
+ * structural edit detaches them from the test and builds a fresh working
+ * copy. Answer-key corrections are the exception; they are applied to the
+ * published questions and recorded as revisions so attempts are re-graded.
+ */
+
+// Version fields returned with attempts
+const versionSummarySelect = {
+  id: true,
+  version: true,
+  totalMarks: true,
+  publishedAt: true
+};
+
+/**
+ * Lock a test row until the transaction ends
+ * Publishing, editing the working copy and starting an attempt all take this
+ * lock, so a version cannot be unpublished while an attempt is pinned to it
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} testId - Test to lock
+ * @returns {Promise<void>}
+ */
+async function lockTest(tx, testId) {
+  await tx.$queryRaw`SELECT id FROM "tests" WHERE id = ${testId} FOR UPDATE`;
+}
+
+/**
+ * Publish the working copy of a test as a new version if it has changed
+ * The test row is locked so concurrent starts publish only once; create the
+ * attempt in the same transaction so the version cannot be unpublished first
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} testId - Test to publish
+ * @returns {Promise<Object|null>} - Version holding the working copy, or null when the test has no sections
+ */
+async function publishTestVersion(tx, testId) {
+  await lockTest(tx, testId);
+
+  const test = await tx.test.findUnique({
+    where: { id: testId },
+    select: {
+      totalMarks: true,
+      sections: { select: { id: true, versionId: true } }
+    }
+  });
+
+  if (!test || test.sections.length === 0) return null;
+
+  // Already published and unchanged since
+  const publishedVersionId = test.sections[0].versionId;
+  if (publishedVersionId && test.sections.every(section => section.versionId === publishedVersionId)) {
+    return await tx.testVersion.findUnique({
+      where: { id: publishedVersionId },
+      select: versionSummarySelect
+    });
+  }
+
+  const latestVersion = await tx.testVersion.findFirst({
+    where: { testId },
+    orderBy: { version: 'desc' },
+    select: { version: true }
+  });
+
+  const version = await tx.testVersion.create({
+    data: {
+      testId,
+      version: (latestVersion?.version || 0) + 1,
+      totalMarks: test.totalMarks
+    },
+    select: versionSummarySelect
+  });
+
+  await tx.section.updateMany({
+    where: { testId, versionId: null },
+    data: { versionId: version.id }
+  });
+
+  return version;
+}
+
+/**
+ * Check whether an edit only changes answer keys
+ * Such edits correct the published questions in place instead of creating a
+ * new version. Call after prepareAnswerKeys, applyMarkingSchemes and
+ * prepareQuestionGroups have normalized the payload.
+ * @param {Object[]} existingSections - Working sections with questions and groups
+ * @param {Object[]} parsedSections - Normalized sections from the request
+ * @param {Object[]} files - Uploaded files
+ * @returns {boolean} - True when only keys differ
+ */
+function isKeyOnlyChange(existingSections, parsedSections, files) {
+  if (files?.length > 0) return false;
+  if (existingSections.length !== parsedSections.length) return false;
+
+  return parsedSections.every((section, sectionIndex) => {
+    const existing = existingSections[sectionIndex];
+    if (
+      existing.name !== section.name ||
+      existing.questionType !== section.questionType ||
+      existing.maxAnswered !== section.maxAnswered ||
+      !isSameJson(existing.markingScheme, section.markingScheme) ||
+      existing.questions.length !== section.questions.length
+    ) {
+      return false;
+    }
+
+    const sameQuestions = section.questions.every((question, questionIndex) => {
+      const stored = existing.questions[questionIndex];
+      return (
+        (stored.questionImage || null) === (question.questionImage || null) &&
+        (stored.solutionImage || null) === (question.solutionImage || null) &&
+        stored.marks === question.marks &&
+        stored.negativeMarks === question.negativeMarks &&
+        isSameJson(stored.markingScheme, question.markingScheme) &&
+        (stored.bankQuestionId || null) === (question.bankQuestionId || null)
+      );
+    });
+    if (!sameQuestions) return false;
+
+    const existingGroups = [...existing.groups].sort((a, b) => a.order - b.order);
+    if (existingGroups.length !== section.groups.length) return false;
+
+    return section.groups.every((group, groupIndex) => {
+      const stored = existingGroups[groupIndex];
+      const storedIndexes = existing.questions
+        .map((question, index) => (question.groupId === stored.id ? index : null))
+        .filter(index => index !== null);
+      return (
+        (stored.stemText || null) === group.stemText &&
+        (stored.stemImage || null) === group.stemImage &&
+        isSameJson(storedIndexes, group.questionIndexes)
+      );
+    });
+  });
+}
+
+/**
+ * Make the working copy safe to edit
+ * A published version nobody has started is unpublished and edited in place.
+ * A version with attempts is detached from the test unless the edit only
+ * corrects answer keys; the caller then creates fresh sections.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} testId - Test being edited
+ * @param {boolean} keyOnly - Result of isKeyOnlyChange
+ * @returns {Promise<{detached: boolean}>} - Whether the working copy was detached
+ */
+async function prepareWorkingCopy(tx, testId, keyOnly) {
+  // Attempts are created under the same lock, so the count below cannot go stale
+  await lockTest(tx, testId);
+
+  const workingSection = await tx.section.findFirst({
+    where: { testId, versionId: { not: null } },
+    select: { versionId: true }
+  });
+  const versionId = workingSection?.versionId;
+  if (!versionId) return { detached: false };
+
+  const attempts = await tx.testAttempt.count({ where: { versionId } });
+  if (attempts === 0) {
+    await tx.section.updateMany({ where: { versionId }, data: { versionId: null } });
+    await tx.testVersion.delete({ where: { id: versionId } });
+    return { detached: false };
+  }
+
+  if (keyOnly) return { detached: false };
+
+  await tx.section.updateMany({ where: { testId }, data: { testId: null } });
+  return { detached: true };
+}
+
+/**
+ * Keep the published version's maximum marks in step with a key-only edit
+ * Dropped and bonus questions change the total of the version attempts were
+ * taken on; call after prepareWorkingCopy kept the version
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} testId - Test being edited
+ * @param {number} totalMarks - New total of the working copy
+ * @returns {Promise<void>}
+ */
+async function updatePublishedTotal(tx, testId, totalMarks) {
+  const workingSection = await tx.section.findFirst({
+    where: { testId, versionId: { not: null } },
+    select: { versionId: true }
+  });
+  if (!workingSection) return;
+
+  await tx.testVersion.updateMany({
+    where: { id: workingSection.versionId, totalMarks: { not: totalMarks } },
+    data: { totalMarks }
+  });
+}
+
+/**
+ * Present an attempt with the sections of the version it was taken on
+ * Attempts are loaded with `version: { include: <sections include> }`; the
+ * response keeps the `test.sections` shape clients already read
+ * @param {Object} attempt - Attempt with `test` and `version`
+ * @returns {Object} - Attempt whose `test.sections` are the pinned version's
+ */
+function withVersionSections(attempt) {
+  if (!attempt?.version) return attempt;
+
+  const { sections, ...version } = attempt.version;
+  return {
+    ...attempt,
+    version,
+    test: attempt.test ? { ...attempt.test, sections } : attempt.test
+  };
+}
+
+module.exports = {
+  versionSummarySelect,
+  lockTest,
+  publishTestVersion,
+  isKeyOnlyChange,
+  prepareWorkingCopy,
+  updatePublishedTotal,
+  withVersionSections
+};
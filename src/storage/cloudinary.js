@@ -0,0 +1,164 @@
+const cloudinary = require('cloudinary').v2;
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { IMAGE_FORMATS, createPublicId, imageTypeForField } = require('./imageNames');
+
+/**
+ * Cloudinary storage driver
+ *
+ * Images are resized and optimized by Cloudinary on upload and served from
+ * its CDN. Deletes go through the admin API using the public ID in the URL.
+ */
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Upload settings shared by multer uploads and server-side uploads
+const imageParams = {
+  folder: 'jee-test-platform', // Folder name in Cloudinary
+  allowed_formats: IMAGE_FORMATS,
+  transformation: [
+    { width: 1200, height: 800, crop: 'limit' }, // Optimize image size
+    { quality: 'auto' } // Auto quality optimization
+  ]
+};
+
+// Configure Cloudinary storage for multer
+const storage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    ...imageParams,
+    public_id: (req, file) => createPublicId(imageTypeForField(file.fieldname)),
+  },
+});
+
+/**
+ * Turn a Cloudinary URL into the value stored in the database
+ * Cloudinary URLs are stored as they are
+ * @param {string} url - Image URL
+ * @returns {string|null} - The URL, or null when it is not a Cloudinary URL
+ */
+function toStoredUrl(url) {
+  return url.includes('cloudinary.com') ? url : null;
+}
+
+/**
+ * Extract public ID from Cloudinary URL
+ * @param {string} cloudinaryUrl - Full Cloudinary URL
+ * @returns {string} - Public ID for deletion
+ */
+function extractPublicIdFromUrl(cloudinaryUrl) {
+  if (!cloudinaryUrl || typeof cloudinaryUrl !== 'string') {
+    return null;
+  }
+
+  try {
+    // Example URL: https://res.cloudinary.com/demo/image/upload/v1234567890/jee-test-platform/abc123.jpg
+    // We need to extract: jee-test-platform/abc123
+
+    const urlParts = cloudinaryUrl.split('/');
+    const uploadIndex = urlParts.findIndex(part => part === 'upload');
+
+    if (uploadIndex === -1) return null;
+
+    // Get everything after 'upload/v{version}/' or 'upload/'
+    let pathAfterUpload = urlParts.slice(uploadIndex + 1);
+
+    // Remove version if present (starts with 'v' followed by numbers)
+    if (pathAfterUpload[0] && /^v\d+$/.test(pathAfterUpload[0])) {
+      pathAfterUpload = pathAfterUpload.slice(1);
+    }
+
+    // Join the remaining parts and remove file extension
+    const fullPath = pathAfterUpload.join('/');
+    const publicId = fullPath.replace(/\.[^/.]+$/, ''); // Remove file extension
+
+    return publicId;
+  } catch (error) {
+    console.error('Error extracting public ID from URL:', cloudinaryUrl, error);
+    return null;
+  }
+}
+
+/**
+ * Upload an image held in memory with the same settings as multer uploads
+ * @param {Buffer} buffer - Image data
+ * @param {string} imageType - Prefix of the public ID (question, solution, stem)
+ * @returns {Promise<string>} - URL of the uploaded image
+ */
+function uploadImage(buffer, imageType) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      { ...imageParams, public_id: createPublicId(imageType) },
+      (error, result) => (error ? reject(error) : resolve(result.secure_url))
+    );
+    uploadStream.end(buffer);
+  });
+}
+
+/**
+ * Download an image
+ * @param {string} url - Cloudinary URL
+ * @returns {Promise<Buffer>} - Image data
+ */
+async function readImage(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download ${url} (HTTP ${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Delete multiple images from Cloudinary
+ * @param {string[]} imageUrls - Array of Cloudinary URLs to delete
+ * @returns {Promise<{success: number, failed: number}>} - Deletion results
+ */
+async function deleteImages(imageUrls) {
+  const publicIds = imageUrls.map(url => extractPublicIdFromUrl(url)).filter(id => id);
+
+  if (publicIds.length === 0) {
+    return { success: 0, failed: 0 };
+  }
+
+  // Delete in batches of 100 (Cloudinary limit)
+  const batchSize = 100;
+  let totalSuccess = 0;
+  let totalFailed = 0;
+
+  for (let i = 0; i < publicIds.length; i += batchSize) {
+    const batch = publicIds.slice(i, i + batchSize);
+
+    try {
+      const result = await cloudinary.api.delete_resources(batch);
+
+      // Count successful and failed deletions
+      Object.values(result.deleted || {}).forEach(status => {
+        if (status === 'deleted' || status === 'not_found') {
+          totalSuccess++;
+        } else {
+          totalFailed++;
+        }
+      });
+
+      console.log(`Batch deletion result for ${batch.length} images:`, result);
+    } catch (batchError) {
+      console.error('Error in batch deletion:', batchError);
+      totalFailed += batch.length;
+    }
+  }
+
+  return { success: totalSuccess, failed: totalFailed };
+}
+
+module.exports = {
+  name: 'cloudinary',
+  storage,
+  toStoredUrl,
+  uploadImage,
+  readImage,
+  deleteImages
+};
@@ -0,0 +1,23 @@
+/**
+ * Image naming shared by the storage drivers
+ */
+
+// Formats accepted by every driver
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'gif'];
+
+// Generate clean public ID
+const createPublicId = (imageType) => {
+  const timestamp = Date.now();
+  const random = Math.round(Math.random() * 1E9);
+  return `${imageType}-${timestamp}-${random}`;
+};
+
+// Prefix of the public ID of an uploaded form field
+const imageTypeForField = (fieldname) => {
+  if (fieldname.includes('questionImage')) return 'question';
+  if (fieldname.includes('stemImage')) return 'stem';
+  if (fieldname === 'photo') return 'candidate';
+  return 'solution';
+};
+
+module.exports = { IMAGE_FORMATS, createPublicId, imageTypeForField };
@@ -0,0 +1,141 @@
+const cloudinaryDriver = require('./cloudinary');
+const localDriver = require('./local');
+
+/**
+ * Image storage
+ *
+ * Uploads go to the driver chosen by `IMAGE_STORAGE` (`cloudinary` or
+ * `local`); without it, Cloudinary is used when it is configured and the local
+ * disk otherwise. Reads and deletes go to whichever driver an image URL
+ * belongs to, so images saved before a switch keep working and are still
+ * cleaned up. Local images are stored as `/uploads/<file>` and turned into
+ * full URLs in JSON responses, so changing the server's address keeps them.
+ */
+
+const drivers = [cloudinaryDriver, localDriver];
+
+const selectDriver = () => {
+  const configured = process.env.IMAGE_STORAGE?.trim().toLowerCase();
+  if (!configured) {
+    return process.env.CLOUDINARY_CLOUD_NAME ? cloudinaryDriver : localDriver;
+  }
+
+  const driver = drivers.find(candidate => candidate.name === configured);
+  if (!driver) {
+    throw new Error(`IMAGE_STORAGE must be one of: ${drivers.map(candidate => candidate.name).join(', ')}`);
+  }
+  return driver;
+};
+
+const driver = selectDriver();
+
+/**
+ * Find the driver an image URL belongs to
+ * @param {any} url - Image URL
+ * @returns {Object|null} - Driver, or null when the URL is not one of our images
+ */
+function findDriver(url) {
+  if (typeof url !== 'string' || !url) return null;
+  return drivers.find(candidate => candidate.toStoredUrl(url) !== null) || null;
+}
+
+/**
+ * Turn an image URL sent by a client into the value to store
+ * Used to keep existing images when a form sends a URL instead of a file
+ * @param {any} value - Value to check
+ * @returns {string|null} - Stored form of the image, or null when it is not one of our images
+ */
+function toStoredImageUrl(value) {
+  return findDriver(value)?.toStoredUrl(value) ?? null;
+}
+
+/**
+ * Replace stored local image paths in a response body with full URLs
+ * @param {any} value - Response body or part of it
+ * @returns {any} - Copy with public image URLs
+ */
+function toPublicImageUrls(value) {
+  if (typeof value === 'string') {
+    return localDriver.STORED_PATH_PATTERN.test(value) ? localDriver.toPublicUrl(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPublicImageUrls);
+  }
+  // Only plain objects; dates and decimals serialize themselves
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toPublicImageUrls(entry)]));
+  }
+  return value;
+}
+
+// Middleware that sends full image URLs in every JSON response
+const publicImageUrls = (req, res, next) => {
+  const sendJson = res.json.bind(res);
+  res.json = (body) => sendJson(toPublicImageUrls(body));
+  next();
+};
+
+/**
+ * Upload an image held in memory with the same settings as multer uploads
+ * @param {Buffer} buffer - Image data
+ * @param {string} imageType - Prefix of the image name (question, solution, stem)
+ * @returns {Promise<string>} - Value to store for the uploaded image
+ */
+function uploadImage(buffer, imageType) {
+  return driver.uploadImage(buffer, imageType);
+}
+
+/**
+ * Read a stored image
+ * @param {string} url - Image URL
+ * @returns {Promise<Buffer>} - Image data
+ */
+function readImage(url) {
+  const owner = findDriver(url);
+  if (!owner) {
+    return Promise.reject(new Error(`Not a stored image: ${url}`));
+  }
+  return owner.readImage(url);
+}
+
+/**
+ * Delete stored images
+ * URLs that are not our images are skipped
+ * @param {string[]} imageUrls - Image URLs to delete
+ * @returns {Promise<{success: number, failed: number}>} - Deletion results
+ */
+async function deleteImages(imageUrls) {
+  const result = { success: 0, failed: 0 };
+  if (!imageUrls || imageUrls.length === 0) {
+    return result;
+  }
+
+  for (const owner of drivers) {
+    const urls = [...new Set(imageUrls.filter(url => findDriver(url) === owner))];
+    if (urls.length === 0) continue;
+
+    try {
+      const ownerResult = await owner.deleteImages(urls);
+      result.success += ownerResult.success;
+      result.failed += ownerResult.failed;
+    } catch (deleteError) {
+      console.error(`Error deleting images from ${owner.name} storage:`, deleteError);
+      result.failed += urls.length;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  // Multer storage engine of the selected driver
+  storage: driver.storage,
+  storageDriver: driver.name,
+  UPLOADS_ROUTE: localDriver.UPLOADS_ROUTE,
+  serveLocalImages: localDriver.serveImages,
+  publicImageUrls,
+  toStoredImageUrl,
+  uploadImage,
+  readImage,
+  deleteImages
+};
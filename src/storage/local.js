@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createPublicId, imageTypeForField } = require('./imageNames');
+
+/**
+ * Local disk storage driver
+ *
+ * Images are written to `UPLOAD_DIR` (the repository's `uploads/` directory
+ * by default) and served by this server under `/uploads`, so the platform runs
+ * without Cloudinary: offline, in an exam centre LAN or in a test environment.
+ * Images are stored as uploaded; nothing is resized. The database holds the
+ * host-independent path (`/uploads/<file>`); clients get full URLs built from
+ * `UPLOADS_PUBLIC_URL` when responses are sent.
+ */
+
+const UPLOADS_ROUTE = '/uploads';
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+// Address clients load images from; set it when the server is behind a proxy or on another host
+const PUBLIC_URL = (process.env.UPLOADS_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}${UPLOADS_ROUTE}`).replace(/\/+$/, '');
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Detect the format of image data
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} - File extension, or null for unsupported formats
+ */
+function detectExtension(buffer) {
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') return 'gif';
+  return null;
+}
+
+// Only plain file names; anything else could reach outside the upload directory
+const STORED_PATH_PATTERN = /^\/uploads\/[\w-]+\.\w+$/;
+
+/**
+ * Turn a local image URL into the path stored in the database
+ * Accepts stored paths and the full URLs clients were given
+ * @param {string} url - Image URL or stored path
+ * @returns {string|null} - Stored path, or null when the URL is not a local image
+ */
+function toStoredUrl(url) {
+  const storedPath = url.startsWith(`${PUBLIC_URL}/`)
+    ? `${UPLOADS_ROUTE}/${url.slice(PUBLIC_URL.length + 1)}`
+    : url;
+  return STORED_PATH_PATTERN.test(storedPath) ? storedPath : null;
+}
+
+/**
+ * Build the URL clients load a stored image from
+ * @param {string} storedPath - Stored path
+ * @returns {string} - Public URL
+ */
+function toPublicUrl(storedPath) {
+  return `${PUBLIC_URL}/${path.posix.basename(storedPath)}`;
+}
+
+/**
+ * Find the file behind a local image URL
+ * @param {string} url - Image URL or stored path
+ * @returns {string|null} - File path, or null when the URL is not a local image
+ */
+function toFilePath(url) {
+  const storedPath = toStoredUrl(url);
+  return storedPath ? path.join(UPLOAD_DIR, path.posix.basename(storedPath)) : null;
+}
+
+// Multer storage engine; like the Cloudinary engine, `file.path` is the value to store
+const storage = {
+  _handleFile(req, file, cb) {
+    const extension = MIME_EXTENSIONS[file.mimetype];
+    if (!extension) {
+      return cb(new Error('Only image files are allowed (JPEG, JPG, PNG, GIF)'));
+    }
+
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, (mkdirError) => {
+      if (mkdirError) return cb(mkdirError);
+
+      const filename = `${createPublicId(imageTypeForField(file.fieldname))}.${extension}`;
+      const output = fs.createWriteStream(path.join(UPLOAD_DIR, filename));
+      file.stream.pipe(output);
+      output.on('error', cb);
+      output.on('finish', () => {
+        cb(null, { path: `${UPLOADS_ROUTE}/${filename}`, filename, size: output.bytesWritten });
+      });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    fs.unlink(path.join(UPLOAD_DIR, file.filename), cb);
+  }
+};
+
+/**
+ * Save an image held in memory
+ * @param {Buffer} buffer - Image data
+ * @param {string} imageType - Prefix of the file name (question, solution, stem)
+ * @returns {Promise<string>} - Stored path of the saved image
+ */
+async function uploadImage(buffer, imageType) {
+  const extension = detectExtension(buffer);
+  if (!extension) {
+    throw new Error('Only image files are allowed (JPEG, JPG, PNG, GIF)');
+  }
+
+  const filename = `${createPublicId(imageType)}.${extension}`;
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(UPLOAD_DIR, filename), buffer);
+  return `${UPLOADS_ROUTE}/${filename}`;
+}
+
+/**
+ * Read an image from disk
+ * @param {string} url - Stored path or local image URL
+ * @returns {Promise<Buffer>} - Image data
+ */
+function readImage(url) {
+  return fs.promises.readFile(toFilePath(url));
+}
+
+/**
+ * Delete images from disk
+ * Images that are already gone count as deleted
+ * @param {string[]} imageUrls - Stored paths or local image URLs
+ * @returns {Promise<{success: number, failed: number}>} - Deletion results
+ */
+async function deleteImages(imageUrls) {
+  let success = 0;
+  let failed = 0;
+
+  for (const url of imageUrls) {
+    try {
+      await fs.promises.unlink(toFilePath(url));
+      success++;
+    } catch (deleteError) {
+      if (deleteError.code === 'ENOENT') {
+        success++;
+      } else {
+        console.error('Error deleting local image:', url, deleteError);
+        failed++;
+      }
+    }
+  }
+
+  return { success, failed };
+}
+
+// Serve saved images; file names are unique, so they can be cached for good
+const serveImages = express.static(UPLOAD_DIR, {
+  index: false,
+  dotfiles: 'ignore',
+  immutable: true,
+  maxAge: '365d',
+  // Helmet only allows same-origin loads by default, and the frontend is served from elsewhere
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+});
+
+module.exports = {
+  name: 'local',
+  UPLOADS_ROUTE,
+  STORED_PATH_PATTERN,
+  storage,
+  toStoredUrl,
+  toPublicUrl,
+  uploadImage,
+  readImage,
+  deleteImages,
+  serveImages
+};
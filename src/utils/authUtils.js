@@ -0,0 +1,86 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const SALT_ROUNDS = 10;
+const DEFAULT_TOKEN_EXPIRY = '12h';
+
+/**
+ * Get the JWT signing secret from the environment
+ * @returns {string} - Secret used to sign and verify tokens
+ */
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Hash a plain-text password
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+async function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Compare a plain-text password with a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Stored bcrypt hash
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  if (!password || !passwordHash) return false;
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Issue an access token for a user
+ * @param {{id: string, role: string, name: string}} user - Authenticated user
+ * @returns {string} - Signed JWT
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { role: user.role, name: user.name },
+    getJwtSecret(),
+    {
+      subject: user.id,
+      expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_EXPIRY
+    }
+  );
+}
+
+/**
+ * Verify an access token and return its payload
+ * @param {string} token - JWT from the client
+ * @returns {{id: string, role: string, name: string}} - Token identity
+ */
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, getJwtSecret());
+  return {
+    id: payload.sub,
+    role: payload.role,
+    name: payload.name
+  };
+}
+
+/**
+ * Remove sensitive fields before sending a user to the client
+ * @param {Object} user - User record from the database
+ * @returns {Object} - User without the password hash
+ */
+function toPublicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  toPublicUser
+};
@@ -0,0 +1,80 @@
+/**
+ * Server-authoritative exam timing
+ *
+ * An attempt's deadline is `startTime + test.duration` (minutes), cut short by
+ * the test's closing time when it has one. Answer writes are accepted until
+ * the deadline plus a short grace period that absorbs network latency on the
+ * final sync.
+ */
+
+const DEFAULT_GRACE_SECONDS = 60;
+
+/**
+ * Get the submission grace period
+ * @returns {number} - Grace period in milliseconds
+ */
+function getGracePeriodMs() {
+  const seconds = parseInt(process.env.SUBMISSION_GRACE_SECONDS, 10);
+  return (Number.isNaN(seconds) || seconds < 0 ? DEFAULT_GRACE_SECONDS : seconds) * 1000;
+}
+
+/**
+ * Calculate the deadline for an attempt
+ * @param {Date} startTime - When the attempt started
+ * @param {number} durationMinutes - Test duration in minutes
+ * @param {Date|null} closesAt - Test closing time, if scheduled
+ * @returns {Date} - Deadline
+ */
+function calculateDeadline(startTime, durationMinutes, closesAt = null) {
+  const deadline = new Date(new Date(startTime).getTime() + durationMinutes * 60 * 1000);
+  return closesAt && new Date(closesAt) < deadline ? new Date(closesAt) : deadline;
+}
+
+/**
+ * Get the deadline of an attempt, falling back to the test duration
+ * @param {Object} attempt - Test attempt (needs `deadline` or `startTime`)
+ * @param {Object} test - Test (needs `duration`, optionally `closesAt`)
+ * @returns {Date} - Deadline
+ */
+function getAttemptDeadline(attempt, test) {
+  return attempt.deadline ? new Date(attempt.deadline) : calculateDeadline(attempt.startTime, test.duration, test.closesAt);
+}
+
+/**
+ * Check whether answer writes are still accepted
+ * @param {Date} deadline - Attempt deadline
+ * @param {Date} now - Current server time
+ * @returns {boolean} - True while within deadline plus grace period
+ */
+function isWithinSubmissionWindow(deadline, now = new Date()) {
+  return now.getTime() <= new Date(deadline).getTime() + getGracePeriodMs();
+}
+
+/**
+ * Build the timer payload sent to clients
+ * Clients should compare `serverTime` with their own clock to correct for skew
+ * @param {Object} attempt - Test attempt
+ * @param {Date} deadline - Attempt deadline
+ * @param {Date} now - Current server time
+ * @returns {Object} - Timer state
+ */
+function getTimerState(attempt, deadline, now = new Date()) {
+  const remainingMs = new Date(deadline).getTime() - now.getTime();
+
+  return {
+    serverTime: now.toISOString(),
+    startTime: new Date(attempt.startTime).toISOString(),
+    deadline: new Date(deadline).toISOString(),
+    remainingSeconds: Math.max(0, Math.floor(remainingMs / 1000)),
+    graceSeconds: getGracePeriodMs() / 1000,
+    isExpired: remainingMs <= 0
+  };
+}
+
+module.exports = {
+  getGracePeriodMs,
+  calculateDeadline,
+  getAttemptDeadline,
+  isWithinSubmissionWindow,
+  getTimerState
+};
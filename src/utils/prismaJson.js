@@ -0,0 +1,31 @@
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Prepare a value for a nullable Json column
+ * Prisma rejects a plain `null` for Json fields, so it must be sent as DbNull
+ * @param {any} value - Value to store
+ * @returns {any} - Value or Prisma.DbNull
+ */
+function toNullableJson(value) {
+  return value === null || value === undefined ? Prisma.DbNull : value;
+}
+
+/**
+ * Compare two Json values
+ * Stored JSON comes back with its object keys reordered, so keys are sorted first
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if both hold the same data
+ */
+function isSameJson(a, b) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value ?? null;
+  };
+  return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+module.exports = { toNullableJson, isSameJson };
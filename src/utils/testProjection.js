@@ -0,0 +1,101 @@
+/**
+ * Candidate-facing projections of tests and attempts
+ *
+ * Answer keys and solutions must never reach the browser while an attempt is
+ * in progress. Fields are whitelisted so keys added to the Question model later
+ * stay hidden unless they are listed here.
+ */
+
+// Question fields a candidate may see during an attempt
+const CANDIDATE_QUESTION_FIELDS = [
+  'id',
+  'questionNumber',
+  'questionImage',
+  'marks',
+  'negativeMarks',
+  'matrixRows',
+  'matrixColumns',
+  'sectionId',
+  'groupId'
+];
+
+// Prisma select for candidate-safe questions
+const candidateQuestionSelect = Object.fromEntries(
+  CANDIDATE_QUESTION_FIELDS.map(field => [field, true])
+);
+
+// Prisma include for a test's sections without answer keys
+const candidateSectionsInclude = {
+  sections: {
+    include: {
+      groups: { orderBy: { order: 'asc' } },
+      questions: {
+        select: candidateQuestionSelect,
+        orderBy: { questionNumber: 'asc' }
+      }
+    },
+    orderBy: { order: 'asc' }
+  }
+};
+
+/**
+ * Strip answer keys and solutions from a loaded question
+ * @param {Object} question - Question record
+ * @returns {Object} - Candidate-safe question
+ */
+function toCandidateQuestion(question) {
+  if (!question) return question;
+
+  const safeQuestion = {};
+  CANDIDATE_QUESTION_FIELDS.forEach(field => {
+    if (field in question) safeQuestion[field] = question[field];
+  });
+  if (question.section) safeQuestion.section = question.section;
+  return safeQuestion;
+}
+
+/**
+ * Strip answer keys and solutions from a loaded test
+ * @param {Object} test - Test with sections and questions
+ * @returns {Object} - Candidate-safe test
+ */
+function toCandidateTest(test) {
+  if (!test) return test;
+
+  const { attempts, ...safeTest } = test;
+  if (test.sections) {
+    safeTest.sections = test.sections.map(section => ({
+      ...section,
+      questions: (section.questions || []).map(toCandidateQuestion)
+    }));
+  }
+  return safeTest;
+}
+
+/**
+ * Strip answer keys from an attempt that is still in progress
+ * Completed attempts are returned unchanged so results can show solutions
+ * @param {Object} attempt - Test attempt with test and answers
+ * @returns {Object} - Candidate-safe attempt
+ */
+function toCandidateAttempt(attempt) {
+  if (!attempt || attempt.isCompleted) return attempt;
+
+  return {
+    ...attempt,
+    test: attempt.test ? toCandidateTest(attempt.test) : attempt.test,
+    answers: attempt.answers?.map(answer => ({
+      ...answer,
+      question: answer.question ? toCandidateQuestion(answer.question) : answer.question
+    }))
+  };
+}
+
+module.exports = {
+  CANDIDATE_QUESTION_FIELDS,
+  candidateQuestionSelect,
+  candidateSectionsInclude,
+  toCandidateQuestion,
+  toCandidateTest,
+  toCandidateAttempt
+};